@@ -3,6 +3,9 @@
  * Visualization of Wind Speed and Precipitation using WeatherNext.
  */
 
+// Shared speed / shear / density / power formulas (modules/windphysics.js)
+var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+
 // =========================================
 // 1. CONFIGURATION & CONSTANTS
 // =========================================
@@ -54,14 +57,8 @@ var processFrame = function(img) {
   // FIX 1: FORCE TYPE CAST (Crucial for .expression to work)
   img = ee.Image(img);
    
-  // A. WIND (Calculated via Expression)
-  // FIX 2: Use .expression() and strict list selectors ['...']
-  var windSpeed = img.expression(
-    'sqrt(u**2 + v**2)', {
-      'u': img.select(['10m_u_component_of_wind']),
-      'v': img.select(['10m_v_component_of_wind'])
-    }
-  );
+  // A. WIND (10m speed from the shared module, expression-based)
+  var windSpeed = windphysics.windSpeed(img, '10m');
    
   var windVis = windSpeed.updateMask(windSpeed.gte(1.0))
                          .visualize(VIS_WIND);
@@ -1,10 +1,23 @@
 /** Experimental code
  * @fileoverview GLOBAL WIND POWER POTENTIAL (2025)
- * * Metric: Mean Wind Power Density (W/m²) at 100m height.
- * * Equation: P = 0.5 * rho * v^3 (assuming rho = 1.225 kg/m^3 for air density).
+ * * Metric: Mean Wind Power Density (W/m²) at hub height (HUB_HEIGHT_M).
+ * * Equation: P = 0.5 * rho * v^3, with rho = p / (R * T) per pixel and timestep.
+ * * Hub wind is extrapolated from the 10m and 100m levels with a per-pixel shear profile.
+ * * Weibull k/c of the hub speed are fitted per pixel (method of moments).
+ * * Alternative mode: mean capacity factor / full-load hours of an IEC class I/II/III
+ * * reference turbine, read off its power curve per timestep (cut-in and cut-out applied).
+ * * Climatology export: 12 monthly + 4 seasonal means, std. dev. and CV of the monthly means.
+ * * Click the map to inspect a pixel and hand its location to the turbine simulator.
+ * * Technical potential: slope / built-up / water / protected-area exclusions, then
+ * * installable MW and annual energy per GAUL country (CSV export).
+ * * Offshore mode: ocean within OFFSHORE.MAX_SHORE_DISTANCE_KM, split into fixed-bottom and
+ * * floating zones by ETOPO1 depth, with power density / capacity factor per EEZ or coast.
  License: MIT
  */
 
+// Shared speed / shear / density / power formulas (modules/windphysics.js)
+var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+
 // =========================================
 // 1. CONFIGURATION & CONSTANTS
 // =========================================
@@ -13,12 +26,103 @@
 var REGION = ee.Geometry.BBox(-180, -85, 180, 85); 
 var DATE_RANGE = { start: '2025-01-01', end: '2025-12-31' };
 
+// Hub Height & Wind Shear (unset keys use windmath.SHEAR_DEFAULTS)
+var HUB_HEIGHT_M = 100; // 80, 120 or 150 for typical onshore projects
+var SHEAR = {
+  METHOD: 'power',      // 'power' = per-pixel shear exponent, 'log' = per-pixel roughness length
+  FALLBACK_ALPHA: 1 / 7 // Used where the 10m/100m pair gives no usable profile
+};
+
+// Map Output Mode
+// 'wpd' = mean wind power density (W/m²)
+// 'cf'  = mean capacity factor (%) of the IEC_CLASS reference turbine
+var OUTPUT_MODE = 'wpd';
+var IEC_CLASS = 'IEC II';
+
+// Map Domain
+// 'global'   = every pixel (onshore exclusions are a separate layer)
+// 'offshore' = ocean within OFFSHORE.MAX_SHORE_DISTANCE_KM, with foundation classes
+var DOMAIN = 'global';
+
+// IEC Reference Power Curves (generic, normalised to rated power = 1 at 1.225 kg/m³)
+// I = high wind (small rotor, late rated speed), III = low wind (large rotor)
+var IEC_CURVES = {
+  'IEC I': {
+    cutIn: 3.5, cutOut: 25,
+    curve: {
+      speed: [3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+      kw:    [0, 0.02, 0.06, 0.12, 0.20, 0.30, 0.42, 0.56, 0.70, 0.83, 0.93, 0.98, 1.0]
+    }
+  },
+  'IEC II': {
+    cutIn: 3, cutOut: 25,
+    curve: {
+      speed: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 12.5],
+      kw:    [0, 0.04, 0.10, 0.18, 0.29, 0.43, 0.59, 0.76, 0.90, 0.98, 1.0]
+    }
+  },
+  'IEC III': {
+    cutIn: 3, cutOut: 20,
+    curve: {
+      speed: [3, 4, 5, 6, 7, 8, 9, 10, 10.5],
+      kw:    [0, 0.06, 0.15, 0.27, 0.42, 0.60, 0.79, 0.95, 1.0]
+    }
+  }
+};
+var HOURS_PER_YEAR = 8760;
+
+// Climatology Periods: [start month, end month] for ee.Filter.calendarRange
+// (end < start wraps over the new year, e.g. DJF)
+var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+var SEASONS = {DJF: [12, 2], MAM: [3, 5], JJA: [6, 8], SON: [9, 11]};
+var PREVIEW_PERIOD = 'Jul';
+
+// Siting Exclusions & Technical Potential
+var SITING = {
+  MAX_SLOPE_DEG: 15,           // Steeper terrain is excluded (SRTM)
+  BUILDINGS: 'GOOGLE/Research/open-buildings-temporal/v1',
+  BUILDING_CONFIDENCE: 0.7,
+  MAX_BUILT_FRACTION: 0.02,    // Analysis cells with more built-up share are excluded
+  PROTECTED_AREAS: 'WCMC/WDPA/current/polygons',
+  MIN_WPD: 0,                  // W/m², optional threshold (0 = off, e.g. 200 drops weak sites)
+  MW_PER_KM2: 5,               // Installable density on available land (typical 3-7 MW/km²)
+  ANALYSIS_SCALE_M: 1000,
+  EXPORT_DESCRIPTION: 'Country_Technical_Wind_Potential_2025'
+};
+
+// Offshore Analysis
+var OFFSHORE = {
+  MAX_SHORE_DISTANCE_KM: 200,
+  BATHYMETRY: 'NOAA/NGDC/ETOPO1',  // 'bedrock' band, metres (negative below sea level)
+  FIXED_MAX_DEPTH_M: 60,           // Monopile / jacket foundations
+  FLOATING_MAX_DEPTH_M: 1000,      // Floating platforms (mooring limit)
+  IEC_CLASS: 'IEC I',              // Offshore turbines are high-wind class
+  MW_PER_KM2: 5,
+  // Optional EEZ polygons (e.g. Marine Regions EEZ uploaded as a table asset).
+  // Empty = GAUL countries buffered by MAX_SHORE_DISTANCE_KM (neighbouring coasts overlap).
+  EEZ_ASSET: '',
+  EEZ_NAME_FIELD: 'GEONAME',
+  SCALE_M: 10000,
+  COLORS: {FIXED: '00CED1', FLOATING: '9370DB'},
+  EXPORT_DESCRIPTION: 'Offshore_Wind_Potential_2025'
+};
+
+// Point Inspector (Map.onClick)
+var INSPECT = {
+  SCALE_M: 25000,      // ~ native WeatherNext grid
+  SPEED_BIN_MS: 1,     // Histogram bin width
+  MAX_SPEED_MS: 30
+};
+
 // Visualization Parameters
 var VIS_POWER = {
   min: 0, 
   max: 1500, 
   palette: ['000000', '0000FF', '00FFFF', '00FF00', 'FFFF00', 'FF0000', 'FF00FF']
 };
+var VIS_CF = {min: 0, max: 60, palette: VIS_POWER.palette}; // Percent
+var VIS_WEIBULL_K = {min: 1, max: 4, palette: ['440154', '3b528b', '21918c', '5ec962', 'fde725']};
+var VIS_WEIBULL_C = {min: 0, max: 14, palette: VIS_POWER.palette};
 
 // =========================================
 // 2. STATIC ASSETS
@@ -32,6 +136,9 @@ var waterMask = landWater.eq(1); // 1 = Water
 var worldVectors = ee.FeatureCollection("FAO/GAUL/2015/level0");
 var outlineImage = ee.Image().paint(worldVectors, 1, 1).visualize({palette: ['FFFFFF']});
 
+// Terrain Height (SRTM) - Barometric fallback for air density, 0 over oceans
+var elevation = ee.Image('CGIAR/SRTM90_V4').unmask(0);
+
 // Base Maps
 var oceanBase = ee.Image(0).visualize({palette: ['202020']});
 var landBase  = ee.Image(0).visualize({palette: ['404040']});
@@ -41,30 +148,66 @@ var landBase  = ee.Image(0).visualize({palette: ['404040']});
 // =========================================
 
 var rawCollection = ee.ImageCollection('projects/gcp-public-data-weathernext/assets/weathernext_2_0_0')
-    .filter(ee.Filter.eq('ensemble_member', '8'))
-    .select(['100m_u_component_of_wind', '100m_v_component_of_wind']);
+    .filter(ee.Filter.eq('ensemble_member', '8'));
+// NOTE: No band pre-selection here. Air density checks per frame whether
+// temperature/pressure bands exist, and a missing band in select() would fail.
 
 /**
- * Calculates Wind Power Density (W/m^2).
+ * Wind speed (m/s) at HUB_HEIGHT_M, see windphysics.hubSpeed().
+ */
+var calcHubSpeed = function(img) {
+  return windphysics.hubSpeed(img, HUB_HEIGHT_M, SHEAR);
+};
+
+/**
+ * Air density (kg/m^3) at HUB_HEIGHT_M, see windphysics.airDensity().
+ */
+var calcAirDensity = function(img) {
+  return windphysics.airDensity(img, HUB_HEIGHT_M, elevation);
+};
+
+/**
+ * Calculates Wind Power Density (W/m^2) at hub height.
  * P = 0.5 * rho * v^3
- * Constant 0.6125 derived from standard air density (1.225 kg/m^3).
  */
 var calcPower = function(img) {
   // FIX 1: Explicit Type Cast
   img = ee.Image(img);
   
-  // FIX 2: Single Server-Side Expression for performance & stability
-  // "hypot" is replaced by sqrt(u^2 + v^2) inside the expression
-  var power = img.expression(
-    '0.6125 * ((u**2 + v**2)**1.5)', {
-      'u': img.select(['100m_u_component_of_wind']),
-      'v': img.select(['100m_v_component_of_wind'])
-    }
-  ).rename('wind_power_density');
+  var power = windphysics.powerDensity(calcHubSpeed(img), calcAirDensity(img));
 
   return power.copyProperties(img, ['system:time_start']);
 };
 
+/**
+ * Capacity factor (0-1) of the IEC_CLASS reference turbine for one frame.
+ * The curve is normalised to rated power, so output / rated = curve value.
+ */
+var calcCapacityFactor = function(img, iecClass) {
+  img = ee.Image(img);
+  var cf = windphysics.turbinePower(calcHubSpeed(img), calcAirDensity(img), IEC_CURVES[iecClass || IEC_CLASS])
+    .rename('capacity_factor');
+  return cf.copyProperties(img, ['system:time_start']);
+};
+
+/**
+ * Mean capacity factor (%) and annual full-load hours from a collection of frames.
+ * @param {string=} iecClass Reference curve, IEC_CLASS by default.
+ */
+var calcYield = function(frames, iecClass) {
+  var cf = frames.map(function(img) { return calcCapacityFactor(img, iecClass); }).mean();
+  return cf.multiply(100).rename('capacity_factor_pct')
+    .addBands(cf.multiply(HOURS_PER_YEAR).rename('full_load_hours'));
+};
+
+/**
+ * Fits Weibull shape (k) and scale (c, m/s) per pixel from a collection of
+ * hub speed frames, see windphysics.weibull().
+ */
+var calcWeibull = function(speedCol) {
+  return windphysics.weibull(speedCol);
+};
+
 // =========================================
 // 4. AGGREGATION
 // =========================================
@@ -82,13 +225,161 @@ var previewMean = rawCollection
     .map(calcPower)
     .mean();
 
+// C. Monthly & Seasonal Climatology (Full Year - For Export)
+var yearPower = rawCollection
+    .filterDate(DATE_RANGE.start, DATE_RANGE.end)
+    .map(calcPower);
+
+var periodMean = function(col, range) {
+  return col.filter(ee.Filter.calendarRange(range[0], range[1], 'month')).mean();
+};
+
+var monthlyPower = ee.Image.cat(MONTHS.map(function(name, i) {
+  return periodMean(yearPower, [i + 1, i + 1]).rename('wpd_' + name.toLowerCase());
+}));
+var seasonalPower = ee.Image.cat(Object.keys(SEASONS).map(function(name) {
+  return periodMean(yearPower, SEASONS[name]).rename('wpd_' + name.toLowerCase());
+}));
+
+// Stability: spread of the 12 monthly means (CV = std / annual mean, 0 = flat year)
+var monthlyStdDev = monthlyPower.reduce(ee.Reducer.stdDev()).rename('wpd_std');
+var monthlyCV = monthlyStdDev.divide(exportMean).rename('wpd_cv');
+
+var climatology = monthlyPower.addBands(seasonalPower).addBands(monthlyStdDev).addBands(monthlyCV);
+
+// D. Capacity Factor & Full-Load Hours (IEC_CLASS reference turbine)
+var exportYield = calcYield(rawCollection.filterDate(DATE_RANGE.start, DATE_RANGE.end));
+var previewYield = calcYield(rawCollection.filterDate('2025-07-01', '2025-07-31'));
+
+// E. Siting Exclusions (1 = excluded)
+var slopeExcluded = ee.Terrain.slope(ee.Image('CGIAR/SRTM90_V4'))
+    .gt(SITING.MAX_SLOPE_DEG).unmask(0);
+
+// Built-up share per analysis cell (Open Buildings covers Africa, S/SE Asia, Latin America)
+// FIX: mosaic() drops the native ~4m projection; restore it so reduceResolution
+// averages real building pixels instead of a 1-degree default grid.
+var buildings = ee.ImageCollection(SITING.BUILDINGS);
+var builtExcluded = buildings
+    .sort('system:time_start', false).mosaic()
+    .select('building_presence')
+    .setDefaultProjection(buildings.first().select('building_presence').projection())
+    .gte(SITING.BUILDING_CONFIDENCE)
+    .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: 65536})
+    .reproject({crs: 'EPSG:4326', scale: SITING.ANALYSIS_SCALE_M})
+    .gt(SITING.MAX_BUILT_FRACTION).unmask(0);
+
+var protectedExcluded = ee.Image(0).paint(
+    ee.FeatureCollection(SITING.PROTECTED_AREAS).filter(ee.Filter.neq('STATUS', 'Proposed')), 1);
+
+var lowResourceExcluded = SITING.MIN_WPD > 0 ?
+    exportMean.lt(SITING.MIN_WPD).unmask(1) : ee.Image(0);
+
+var exclusions = ee.Image.cat([
+  slopeExcluded.rename('slope'),
+  builtExcluded.rename('built_up'),
+  waterMask.unmask(0).rename('water'),
+  protectedExcluded.rename('protected'),
+  lowResourceExcluded.rename('low_resource')
+]);
+var available = exclusions.reduce(ee.Reducer.max()).not().rename('available');
+
+// F. Technical Potential per pixel: available km², installable MW, annual MWh
+var availableKm2 = ee.Image.pixelArea().divide(1e6).multiply(available);
+var potential = availableKm2.rename('available_km2')
+    .addBands(availableKm2.multiply(SITING.MW_PER_KM2).rename('capacity_mw'))
+    .addBands(availableKm2.multiply(SITING.MW_PER_KM2)
+        .multiply(exportYield.select('capacity_factor_pct').divide(100))
+        .multiply(HOURS_PER_YEAR).unmask(0).rename('energy_mwh'));
+
+var countryPotential = potential.reduceRegions({
+  collection: worldVectors,
+  reducer: ee.Reducer.sum(),
+  scale: SITING.ANALYSIS_SCALE_M,
+  tileScale: 16
+}).map(function(f) {
+  var countryKm2 = f.geometry().area(1000).divide(1e6);
+  var capacity = ee.Number(f.get('capacity_mw'));
+  return f.set({
+    country_km2: countryKm2,
+    available_pct: ee.Number(f.get('available_km2')).divide(countryKm2).multiply(100),
+    mw_per_km2: capacity.divide(countryKm2),
+    energy_twh: ee.Number(f.get('energy_mwh')).divide(1e6)
+  });
+});
+
+// G. Offshore Zones: ocean within reach of the coast, by foundation type
+var seaDepth = ee.Image(OFFSHORE.BATHYMETRY).select('bedrock').multiply(-1);
+var shoreDistanceKm = waterMask.not().selfMask()
+    .distance(ee.Kernel.euclidean(OFFSHORE.MAX_SHORE_DISTANCE_KM * 1000, 'meters'))
+    .divide(1000);
+var offshoreZone = waterMask.and(seaDepth.gt(0)).and(shoreDistanceKm.lte(OFFSHORE.MAX_SHORE_DISTANCE_KM));
+
+// 1 = fixed-bottom, 2 = floating, masked = too deep / onshore / too far out
+var foundationClass = ee.Image(0)
+    .where(seaDepth.lte(OFFSHORE.FIXED_MAX_DEPTH_M), 1)
+    .where(seaDepth.gt(OFFSHORE.FIXED_MAX_DEPTH_M).and(seaDepth.lte(OFFSHORE.FLOATING_MAX_DEPTH_M)), 2)
+    .updateMask(offshoreZone)
+    .selfMask()
+    .rename('foundation');
+
+var offshoreZones = OFFSHORE.EEZ_ASSET ?
+    ee.FeatureCollection(OFFSHORE.EEZ_ASSET).map(function(f) {
+      return f.set('zone', f.get(OFFSHORE.EEZ_NAME_FIELD));
+    }) :
+    worldVectors.map(function(f) {
+      return ee.Feature(f.geometry().simplify(5000).buffer(OFFSHORE.MAX_SHORE_DISTANCE_KM * 1000, 5000))
+          .set('zone', f.get('ADM0_NAME'));
+    });
+
+// Area-weighted sums per zone; means are recovered as sum(x * km²) / sum(km²)
+var offshoreKm2 = ee.Image.pixelArea().divide(1e6).updateMask(foundationClass.mask());
+var offshoreCF = calcYield(rawCollection.filterDate(DATE_RANGE.start, DATE_RANGE.end), OFFSHORE.IEC_CLASS)
+    .select('capacity_factor_pct');
+var offshoreSums = ee.Image.cat([
+  offshoreKm2.updateMask(foundationClass.eq(1)).rename('fixed_km2'),
+  offshoreKm2.updateMask(foundationClass.eq(2)).rename('floating_km2'),
+  offshoreKm2.multiply(exportMean).rename('wpd_x_km2'),
+  offshoreKm2.multiply(offshoreCF).rename('cf_x_km2'),
+  offshoreKm2.rename('km2')
+]);
+
+var offshorePotential = offshoreSums.reduceRegions({
+  collection: offshoreZones,
+  reducer: ee.Reducer.sum(),
+  scale: OFFSHORE.SCALE_M,
+  tileScale: 16
+}).filter(ee.Filter.gt('km2', 0)).map(function(f) {
+  var km2 = ee.Number(f.get('km2'));
+  var cf = ee.Number(f.get('cf_x_km2')).divide(km2);
+  var capacity = km2.multiply(OFFSHORE.MW_PER_KM2);
+  return f.set({
+    mean_wpd: ee.Number(f.get('wpd_x_km2')).divide(km2),
+    mean_cf_pct: cf,
+    capacity_mw: capacity,
+    energy_twh: capacity.multiply(cf.divide(100)).multiply(HOURS_PER_YEAR).divide(1e6)
+  });
+});
+
+// H. Weibull k/c (Full Year for Export, July for Map)
+var exportWeibull = calcWeibull(rawCollection
+    .filterDate(DATE_RANGE.start, DATE_RANGE.end)
+    .map(calcHubSpeed));
+var previewWeibull = calcWeibull(rawCollection
+    .filterDate('2025-07-01', '2025-07-31')
+    .map(calcHubSpeed));
+
 // =========================================
 // 5. COMPOSITING
 // =========================================
 
+// Restricts displayed data to the offshore zone in offshore mode
+var displayData = function(img) {
+  return DOMAIN === 'offshore' ? img.updateMask(foundationClass.mask()) : img;
+};
+
 // Function to blend layers: Base -> Data -> Outlines
-var createComposite = function(dataLayer) {
-  var dataVis = dataLayer.visualize(VIS_POWER);
+var createComposite = function(dataLayer, vis) {
+  var dataVis = dataLayer.visualize(vis || VIS_POWER);
   // Stack: Ocean -> Land -> Data (masked to land?) -> Outlines
   // Actually, usually we want data everywhere.
   // Let's do: Dark Background -> Data -> Country Lines
@@ -99,7 +390,9 @@ var createComposite = function(dataLayer) {
   ]).mosaic();
 };
 
-var mapComposite = createComposite(previewMean);
+var mapComposite = OUTPUT_MODE === 'cf' ?
+    createComposite(displayData(previewYield.select('capacity_factor_pct')), VIS_CF) :
+    createComposite(displayData(previewMean));
 var exportComposite = createComposite(exportMean);
 
 // =========================================
@@ -115,12 +408,77 @@ Export.image.toDrive({
   fileFormat: 'GeoTIFF'
 });
 
+// 12 monthly + DJF/MAM/JJA/SON means (W/m²), wpd_std (W/m²) and wpd_cv (ratio)
+Export.image.toDrive({
+  image: climatology.toFloat(),
+  description: 'Global_WindPower_Climatology_2025',
+  scale: 10000,
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
+// Capacity factor (%) and full-load hours (h/yr) as raw float bands
+Export.image.toDrive({
+  image: exportYield.toFloat(),
+  description: 'Global_Capacity_Factor_' + IEC_CLASS.replace(' ', '_') + '_2025',
+  scale: 10000,
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
+// Technical potential per country (capacity in MW, energy in TWh/yr from the IEC_CLASS CF)
+Export.table.toDrive({
+  collection: countryPotential,
+  description: SITING.EXPORT_DESCRIPTION,
+  fileFormat: 'CSV',
+  selectors: ['ADM0_CODE', 'ADM0_NAME', 'country_km2', 'available_km2', 'available_pct',
+              'capacity_mw', 'mw_per_km2', 'energy_twh']
+});
+
+// Offshore power density / capacity factor per EEZ (or buffered country coast)
+Export.table.toDrive({
+  collection: offshorePotential,
+  description: OFFSHORE.EXPORT_DESCRIPTION,
+  fileFormat: 'CSV',
+  selectors: ['zone', 'fixed_km2', 'floating_km2', 'mean_wpd', 'mean_cf_pct', 'capacity_mw', 'energy_twh']
+});
+
+// Weibull parameters as raw float bands (not visualized) for downstream AEP work
+Export.image.toDrive({
+  image: exportWeibull.select('weibull_k').toFloat(),
+  description: 'Global_Weibull_k_2025',
+  scale: 10000,
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
+Export.image.toDrive({
+  image: exportWeibull.select('weibull_c').toFloat(),
+  description: 'Global_Weibull_c_2025',
+  scale: 10000,
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
 // =========================================
 // 7. UI & LEGEND
 // =========================================
 
 Map.setCenter(20, 0, 3);
-Map.addLayer(mapComposite, {}, 'Wind Power (July Preview)');
+var modeName = (DOMAIN === 'offshore' ? 'Offshore ' : '') +
+    (OUTPUT_MODE === 'cf' ? 'Capacity Factor, ' + IEC_CLASS : 'Wind Power');
+var displayLayer = ui.Map.Layer(mapComposite, {}, modeName + ' (July Preview)');
+Map.layers().add(displayLayer);
+Map.addLayer(foundationClass, {min: 1, max: 2, palette: [OFFSHORE.COLORS.FIXED, OFFSHORE.COLORS.FLOATING],
+    opacity: 0.5}, 'Offshore Foundation Classes', DOMAIN === 'offshore');
+Map.addLayer(exclusions.reduce(ee.Reducer.max()).selfMask(), {palette: ['FF4500'], opacity: 0.6},
+    'Siting Exclusions (slope, built-up, water, protected' + (SITING.MIN_WPD > 0 ? ', low WPD)' : ')'), false);
+Map.addLayer(previewWeibull.select('weibull_k'), VIS_WEIBULL_K, 'Weibull k (July Preview)', false);
+Map.addLayer(previewWeibull.select('weibull_c'), VIS_WEIBULL_C, 'Weibull c, m/s (July Preview)', false);
 
 // UI Panel
 var legend = ui.Panel({
@@ -131,8 +489,21 @@ var legend = ui.Panel({
   }
 });
 
+// Legend text follows the output mode (offshore mode prefixes the domain)
+var LEGEND = OUTPUT_MODE === 'cf' ? {
+  title: 'Mean Capacity Factor (' + IEC_CLASS + ', ' + HUB_HEIGHT_M + 'm)',
+  vis: VIS_CF, mid: '30 %', max: '> 60 %'
+} : {
+  title: 'Mean Wind Power Density (' + HUB_HEIGHT_M + 'm)',
+  vis: VIS_POWER, mid: '750 W/m²', max: '> 1500'
+};
+
+if (DOMAIN === 'offshore') {
+  LEGEND.title = 'Offshore ' + LEGEND.title + ', ≤ ' + OFFSHORE.MAX_SHORE_DISTANCE_KM + ' km from shore';
+}
+
 legend.add(ui.Label({
-  value: 'Mean Wind Power Density (100m)',
+  value: LEGEND.title,
   style: {fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0'}
 }));
 
@@ -146,7 +517,7 @@ var gradientThumb = ui.Thumbnail({
     format: 'png',
     min: 0, 
     max: 100, 
-    palette: VIS_POWER.palette
+    palette: LEGEND.vis.palette
   },
   style: {stretch: 'horizontal', margin: '5px 0'}
 });
@@ -156,15 +527,188 @@ legend.add(gradientThumb);
 legend.add(ui.Panel({
   widgets: [
     ui.Label('0', {margin: '4px 8px'}),
-    ui.Label('750 W/m²', {margin: '4px 8px', textAlign: 'center', stretch: 'horizontal'}),
-    ui.Label('> 1500', {margin: '4px 8px'})
+    ui.Label(LEGEND.mid, {margin: '4px 8px', textAlign: 'center', stretch: 'horizontal'}),
+    ui.Label(LEGEND.max, {margin: '4px 8px'})
   ],
   layout: ui.Panel.Layout.Flow('horizontal')
 }));
 
-legend.add(ui.Label({
+/**
+ * Map layer for one month or season of 2025 in the current OUTPUT_MODE.
+ */
+var previewComposite = function(period) {
+  var monthIndex = MONTHS.indexOf(period);
+  var range = monthIndex >= 0 ? [monthIndex + 1, monthIndex + 1] : SEASONS[period];
+  var frames = rawCollection
+      .filterDate(DATE_RANGE.start, DATE_RANGE.end)
+      .filter(ee.Filter.calendarRange(range[0], range[1], 'month'));
+  return OUTPUT_MODE === 'cf' ?
+      createComposite(displayData(calcYield(frames).select('capacity_factor_pct')), VIS_CF) :
+      createComposite(displayData(frames.map(calcPower).mean()));
+};
+
+var periodNote = ui.Label({
   value: 'Note: Map displays July 2025. Run Export task for full annual mean.',
   style: {fontSize: '10px', color: '#555', margin: '4px 0'}
+});
+
+// Month / season selector: swaps the displayed layer in place
+var periodSelect = ui.Select({
+  items: MONTHS.concat(Object.keys(SEASONS)),
+  value: PREVIEW_PERIOD,
+  onChange: function(period) {
+    displayLayer.setEeObject(previewComposite(period));
+    displayLayer.setName(modeName + ' (' + period + ' 2025)');
+    periodNote.setValue('Note: Map displays ' + period + ' 2025. Run Export tasks for annual and climatology bands.');
+  },
+  style: {margin: '0 8px'}
+});
+
+legend.add(ui.Panel({
+  widgets: [ui.Label('Period:', {margin: '8px 0 0 8px', fontSize: '12px'}), periodSelect],
+  layout: ui.Panel.Layout.Flow('horizontal')
 }));
+legend.add(periodNote);
+
+if (OUTPUT_MODE === 'cf') {
+  legend.add(ui.Label({
+    value: 'Full-load hours = capacity factor × ' + HOURS_PER_YEAR + ' h (60 % ≈ ' +
+        Math.round(0.6 * HOURS_PER_YEAR) + ' h/yr)',
+    style: {fontSize: '10px', color: '#555', margin: '0 0 4px 0'}
+  }));
+}
+
+// Offshore foundation swatches
+if (DOMAIN === 'offshore') {
+  var swatch = function(color, text) {
+    return ui.Panel({
+      widgets: [
+        ui.Label('', {backgroundColor: '#' + color, padding: '8px', margin: '2px 6px 2px 0'}),
+        ui.Label(text, {fontSize: '11px', margin: '3px 0'})
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal')
+    });
+  };
+  legend.add(swatch(OFFSHORE.COLORS.FIXED, 'Fixed-bottom (< ' + OFFSHORE.FIXED_MAX_DEPTH_M + ' m)'));
+  legend.add(swatch(OFFSHORE.COLORS.FLOATING, 'Floating (' + OFFSHORE.FIXED_MAX_DEPTH_M + '–' +
+      OFFSHORE.FLOATING_MAX_DEPTH_M + ' m)'));
+  legend.add(ui.Label({
+    value: 'Per-zone CF uses the ' + OFFSHORE.IEC_CLASS + ' curve. Bathymetry: ETOPO1.',
+    style: {fontSize: '10px', color: '#555', margin: '0 0 4px 0'}
+  }));
+}
 
 Map.add(legend);
+
+// =========================================
+// 8. POINT INSPECTOR
+// =========================================
+
+var inspector = ui.Panel({
+  style: {position: 'top-right', width: '340px', padding: '8px', shown: false,
+          backgroundColor: 'rgba(255, 255, 255, 0.95)'}
+});
+Map.add(inspector);
+
+/**
+ * Simulator scenario for a location (see getScenario() in windturbinesimOB25D.js).
+ * Only keys the simulator understands are set; the hub is passed when it is one
+ * of the simulator's hub options.
+ */
+var toSimulatorScenario = function(lon, lat) {
+  var scenario = {version: 1, lat: Number(lat.toFixed(5)), lon: Number(lon.toFixed(5))};
+  if ([80, 100, 120, 150].indexOf(HUB_HEIGHT_M) >= 0) scenario.hub = String(HUB_HEIGHT_M);
+  return scenario;
+};
+
+/**
+ * Renders the evaluated pixel statistics into the inspector panel.
+ */
+var showInspection = function(coords, info) {
+  inspector.clear();
+  inspector.add(ui.Label('Point Inspector', {fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0'}));
+  inspector.add(ui.Label(info.country + ' (' + coords.lat.toFixed(3) + ', ' + coords.lon.toFixed(3) + ')',
+      {fontSize: '12px', color: '#555'}));
+  
+  if (info.wpd === null || info.wpd === undefined) {
+    inspector.add(ui.Label('No wind data at this pixel.', {color: 'red'}));
+    return;
+  }
+  inspector.add(ui.Label('Annual Mean Power Density (' + HUB_HEIGHT_M + 'm): ' + Math.round(info.wpd) + ' W/m²',
+      {fontWeight: 'bold'}));
+  
+  // Speed distribution from the 6-hourly hub speeds
+  var cutIn = IEC_CURVES[IEC_CLASS].cutIn;
+  var nBins = Math.ceil(INSPECT.MAX_SPEED_MS / INSPECT.SPEED_BIN_MS);
+  var counts = [];
+  for (var b = 0; b < nBins; b++) counts.push(0);
+  var aboveCutIn = 0;
+  info.speeds.forEach(function(s) {
+    counts[Math.min(nBins - 1, Math.floor(s / INSPECT.SPEED_BIN_MS))]++;
+    if (s >= cutIn) aboveCutIn++;
+  });
+  var n = info.speeds.length;
+  inspector.add(ui.Label('Time Above Cut-In (' + cutIn + ' m/s, ' + IEC_CLASS + '): ' +
+      (n > 0 ? (aboveCutIn / n * 100).toFixed(1) : '-') + '% of ' + n + ' steps', {fontSize: '12px'}));
+  
+  var monthlyTable = [['Month', 'W/m²']].concat(MONTHS.map(function(name) {
+    return [name, info.monthly['wpd_' + name.toLowerCase()] || 0];
+  }));
+  inspector.add(ui.Chart(monthlyTable, 'ColumnChart', {
+    title: 'Monthly Mean Power Density',
+    colors: ['#1e90ff'], legend: {position: 'none'}, height: '150px'
+  }));
+  
+  var lastBin = counts.length - 1;
+  while (lastBin > 0 && counts[lastBin] === 0) lastBin--;
+  var histTable = [['Speed (m/s)', '% of time']];
+  for (var i = 0; i <= lastBin; i++) {
+    histTable.push([(i + 0.5) * INSPECT.SPEED_BIN_MS, n > 0 ? counts[i] / n * 100 : 0]);
+  }
+  inspector.add(ui.Chart(histTable, 'ColumnChart', {
+    title: 'Hub Speed Histogram', hAxis: {title: 'm/s'},
+    colors: ['#ff7f50'], legend: {position: 'none'}, bar: {groupWidth: '95%'}, height: '150px'
+  }));
+  
+  // Hand-off to the turbine simulator (paste into its Scenario box and press Import)
+  var scenarioBox = ui.Textbox({value: '', style: {stretch: 'horizontal', shown: false}});
+  inspector.add(ui.Button({
+    label: 'Simulator Scenario JSON',
+    onClick: function() {
+      var json = JSON.stringify(toSimulatorScenario(coords.lon, coords.lat));
+      scenarioBox.setValue(json);
+      scenarioBox.style().set('shown', true);
+      print('Simulator scenario:', json);
+    }
+  }));
+  inspector.add(scenarioBox);
+  inspector.add(ui.Button({label: 'Close', onClick: function() { inspector.style().set('shown', false); }}));
+};
+
+Map.onClick(function(coords) {
+  var point = ee.Geometry.Point([coords.lon, coords.lat]);
+  inspector.clear();
+  inspector.style().set('shown', true);
+  inspector.add(ui.Label('Inspecting pixel (full year, may take a minute)...', {color: 'orange'}));
+  
+  var countries = worldVectors.filterBounds(point);
+  var speedRows = rawCollection
+      .filterDate(DATE_RANGE.start, DATE_RANGE.end)
+      .map(calcHubSpeed)
+      .getRegion(point, INSPECT.SCALE_M);
+  
+  ee.Dictionary({
+    wpd: exportMean.reduceRegion(ee.Reducer.first(), point, INSPECT.SCALE_M).get('wind_power_density'),
+    monthly: monthlyPower.reduceRegion(ee.Reducer.first(), point, INSPECT.SCALE_M),
+    speeds: speedRows.slice(1).map(function(row) { return ee.List(row).get(4); }),
+    country: ee.Algorithms.If(countries.size().gt(0), countries.first().get('ADM0_NAME'), 'Ocean / no country')
+  }).evaluate(function(info, error) {
+    if (error) {
+      inspector.clear();
+      inspector.add(ui.Label('Error: ' + error, {color: 'red'}));
+      return;
+    }
+    info.speeds = (info.speeds || []).filter(function(s) { return s !== null; });
+    showInspection(coords, info);
+  });
+});
@@ -1,22 +1,60 @@
 /** Experimental code for Google Earth Engine
- * STORM MELISSA (2025) - Forecast Validation Analysis.
- * * "The Prophecy View": Visualizes a specific initialization run (Oct 23)
+ * TROPICAL CYCLONE FORECAST VALIDATION (default: STORM MELISSA, 2025).
+ * * "The Prophecy View": Visualizes a specific initialization run
  * * against the verified ground truth path (IBTrACS).
+ * * The storm is picked by name / season / basin (URL parameters, no code edits):
+ * *   ?storm=MELISSA&season=2025&basin=NA&init=2025-10-23
+ * * Region and date window are fitted to the best track; init defaults to its first day.
+ * * Ensemble view: every member is tracked for strike / wind-exceedance probabilities
+ * * and a spaghetti plot, exported as an animation and a static summary.
+ * * Multi-init view: runs from several inits (?inits=...) coloured by init age, landfall
+ * * time/position error vs init, and an optional side-by-side video (?compare=A,B).
+ * * A tracker follows the model's own storm centre (MSLP minimum near the previous
+ * * position, confirmed by vorticity and wind) and draws it next to the best track.
+ * * Error statistics: best track interpolated to each valid time; great-circle,
+ * * along/cross-track and max-wind errors per forecast_hour (charts + CSV).
  * License: MIT
  */
 
+// Shared speed / shear / density / power formulas (modules/windphysics.js)
+var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+
 // =========================================
 // 1. CONFIGURATION & CONSTANTS
 // =========================================
 
-var REGION = ee.Geometry.Rectangle([-90.0, 10.0, -40.0, 42.0]);
+// Storm Selection (URL parameters override the defaults)
+var STORM = {
+  NAME: String(ui.url.get('storm', 'MELISSA')).toUpperCase(),
+  SEASON: Number(ui.url.get('season', 2025)),
+  BASIN: String(ui.url.get('basin', 'NA')),  // IBTrACS basin: NA, EP, WP, NI, SI, SP, SA
+  INIT: String(ui.url.get('init', '')),      // 'YYYY-MM-DD[THH:mm]'; empty = first day of the best track, 00Z
+  INITS: String(ui.url.get('inits', '')),    // Comma-separated inits to compare; empty = last daily 00Z runs before landfall
+  COMPARE: String(ui.url.get('compare', '')) // Two inits, e.g. '2025-10-21,2025-10-24', for the side-by-side video
+};
+
+// IBTrACS v04 points. Point ASSET at the catalog copy or at an uploaded
+// ibtracs.*.list.v04r01.csv (drop the units row before uploading so columns stay numeric).
+var IBTRACS = {
+  ASSET: 'users/YOUR_USERNAME/ibtracs_since1980',
+  NAME_FIELD: 'NAME',
+  SEASON_FIELD: 'SEASON',
+  BASIN_FIELD: 'BASIN',
+  TIME_FIELD: 'ISO_TIME',           // 'YYYY-MM-dd HH:mm:ss' UTC
+  TIME_FORMAT: 'YYYY-MM-dd HH:mm:ss',
+  LAT_FIELD: 'LAT',
+  LON_FIELD: 'LON',
+  WIND_FIELD: 'USA_WIND',           // Knots, 1-min sustained
+  KNOTS_TO_MS: 0.514444,
+  MAX_POINTS: 500,
+  REGION_PAD_KM: 600                // Margin around the track for the map / video
+};
+
+// Saffir-Simpson lower bounds (m/s) for categories 1-5; below = 0 (depression / storm)
+var CATEGORY_THRESHOLDS_MS = [33, 43, 50, 58, 70];
 
-var MODEL_INIT_DATE = '2025-10-23'; 
-// Filter strictly for the midnight initialization run
-var INIT_FILTER = ee.Filter.and(
-    ee.Filter.date(MODEL_INIT_DATE, ee.Date(MODEL_INIT_DATE).advance(1, 'day')),
-    ee.Filter.stringContains('start_time', 'T00:00:00')
-);
+// Export name stem, e.g. 'MELISSA_2025' or 'MELISSA_2025_init20251023'
+var RUN_NAME = STORM.NAME + '_' + STORM.SEASON + (STORM.INIT ? '_init' + STORM.INIT.replace(/-/g, '') : '');
 
 // Visualization Styles
 var VIS_FORECAST = {
@@ -34,68 +72,159 @@ var VIS_TRACK = {
 
 var TRACK_THICKNESS = 4;
 
+// Single ensemble member, so each valid time yields exactly one frame
+var ENSEMBLE_MEMBER = '8';
+
+// Ensemble Spread (every member of the chosen init)
+var ENSEMBLE = {
+  MAX_MEMBERS: 64,
+  STRIKE_RADIUS_KM: 120,      // Member track passes within this distance of a pixel
+  WIND_THRESHOLD_MS: 33,      // 10m wind, ~ hurricane force (Category 1)
+  SPAGHETTI_COLOR: 'FFFFFF',
+  SPAGHETTI_OPACITY: 0.6,
+  EXPORT_SCALE_M: 25000,
+  VIDEO_DESCRIPTION: RUN_NAME + '_Ensemble_Probability',
+  SUMMARY_DESCRIPTION: RUN_NAME + '_Ensemble_Summary',
+  PROBABILITY_DESCRIPTION: RUN_NAME + '_Ensemble_Probability_GeoTIFF',
+  TRACKS_DESCRIPTION: RUN_NAME + '_Ensemble_Tracks'
+};
+
+// Multi-Initialization Comparison (STORM.INITS / STORM.COMPARE, member ENSEMBLE_MEMBER)
+var MULTI_INIT = {
+  MAX_INITS: 8,
+  VIS_AGE: {
+    min: 0,
+    max: 120, // Hours before the newest init
+    palette: ['FF0000', 'FFA500', 'FFFF00', '00FFFF', '0000FF']  // newest -> oldest
+  },
+  TRACKS_DESCRIPTION: RUN_NAME + '_MultiInit_Tracks',
+  LANDFALL_DESCRIPTION: RUN_NAME + '_MultiInit_Landfall_Errors',
+  VIDEO_DESCRIPTION: RUN_NAME + '_SideBySide'
+};
+
+var VIS_PROBABILITY = {
+  min: 0,
+  max: 100, // % of members
+  palette: ['1a9850', 'fee08b', 'fc8d59', 'd73027', '7f0000'],
+  opacity: 0.7
+};
+
+// Cyclone-Centre Tracker
+var TRACKER = {
+  SEARCH_RADIUS_KM: 350,  // Max centre displacement between 6-hourly frames
+  CORE_RADIUS_KM: 150,    // Vorticity / wind checks around the candidate centre
+  MIN_VORTICITY: 5e-5,    // 1/s, cyclonic relative vorticity at 10m (sign follows hemisphere)
+  MIN_WIND_MS: 15,        // 10m wind near the centre (~ tropical depression)
+  SCALE_M: 25000,         // ~ native WeatherNext grid
+  MAX_STEPS: 100,
+  COLOR: '00FF7F',
+  EXPORT_DESCRIPTION: RUN_NAME + '_Forecast_Track'
+};
+
+// Height of the displayed forecast wind (m). Other heights are extrapolated
+// from the 10m/100m levels with a per-pixel shear exponent.
+var HUB_HEIGHT_M = 100;
+var SHEAR = {
+  METHOD: 'power',
+  FALLBACK_ALPHA: 1 / 7, // Used where the 10m/100m profile is calm, inverted or extreme
+  MAX_ALPHA: 0.6
+};
+
+// Track Error Statistics
+var EARTH_RADIUS_KM = 6371;
+var ERRORS_EXPORT_DESCRIPTION = RUN_NAME + '_Track_Errors';
+
 // =========================================
 // 2. GROUND TRUTH DATA (IBTrACS)
 // =========================================
 
-var bestTrackData = [
-  {t: '2025-10-17T12:00:00', lat: 10.6, lon: -41.5, cat: 0},
-  {t: '2025-10-18T00:00:00', lat: 11.2, lon: -45.5, cat: 0},
-  {t: '2025-10-19T00:00:00', lat: 12.3, lon: -55.1, cat: 0},
-  {t: '2025-10-20T00:00:00', lat: 13.2, lon: -63.0, cat: 0},
-  {t: '2025-10-21T06:00:00', lat: 14.0, lon: -70.0, cat: 1}, // TS Status
-  {t: '2025-10-22T06:00:00', lat: 14.0, lon: -73.5, cat: 1},
-  {t: '2025-10-24T06:00:00', lat: 16.0, lon: -75.5, cat: 1},
-  {t: '2025-10-25T12:00:00', lat: 16.3, lon: -75.0, cat: 2},
-  {t: '2025-10-26T06:00:00', lat: 16.3, lon: -76.1, cat: 3}, // Major Hurricane
-  {t: '2025-10-27T06:00:00', lat: 16.3, lon: -77.7, cat: 4},
-  {t: '2025-10-28T06:00:00', lat: 16.9, lon: -78.4, cat: 5},
-  {t: '2025-10-28T15:00:00', lat: 17.9, lon: -78.0, cat: 5}, // PEAK (Jamaica)
-  {t: '2025-10-29T09:00:00', lat: 20.2, lon: -76.1, cat: 3}, // Cuba
-  {t: '2025-10-30T06:00:00', lat: 24.9, lon: -73.9, cat: 2}, // Bahamas
-  {t: '2025-10-31T06:00:00', lat: 34.4, lon: -65.6, cat: 1},
-  {t: '2025-10-31T18:00:00', lat: 40.6, lon: -58.9, cat: 0}  // Extratropical
-];
-
-// Construct Features
-// We create two collections:
-// 1. Segments: For drawing the colorful line.
+/**
+ * Saffir-Simpson category (0-5) from max wind in m/s.
+ */
+var categoryFromWind = function(windMs) {
+  return ee.List(CATEGORY_THRESHOLDS_MS).iterate(function(threshold, cat) {
+    return ee.Number(cat).add(ee.Number(windMs).gte(ee.Number(threshold)));
+  }, 0);
+};
+
+// Best-track fixes: Point features with system:time_start, lon, lat and, where
+// IBTrACS reports a wind, wind_ms and cat (left off otherwise, never invented)
+var bestTrack = ee.FeatureCollection(IBTRACS.ASSET)
+  .filter(ee.Filter.eq(IBTRACS.NAME_FIELD, STORM.NAME))
+  .filter(ee.Filter.eq(IBTRACS.SEASON_FIELD, STORM.SEASON))
+  .filter(ee.Filter.eq(IBTRACS.BASIN_FIELD, STORM.BASIN))
+  .filter(ee.Filter.notNull([IBTRACS.TIME_FIELD, IBTRACS.LAT_FIELD, IBTRACS.LON_FIELD]))
+  .map(function(f) {
+    var lon = ee.Number(f.get(IBTRACS.LON_FIELD));
+    var lat = ee.Number(f.get(IBTRACS.LAT_FIELD));
+    var rawWind = f.get(IBTRACS.WIND_FIELD);
+    var windMs = ee.Number(rawWind).multiply(IBTRACS.KNOTS_TO_MS);
+    return ee.Feature(ee.Geometry.Point([lon, lat]), {
+      'system:time_start': ee.Date.parse(IBTRACS.TIME_FORMAT, f.get(IBTRACS.TIME_FIELD)).millis(),
+      'lon': lon,
+      'lat': lat
+    }).set(ee.Dictionary(ee.Algorithms.If(ee.Algorithms.IsEqual(rawWind, null),
+      {},
+      {'wind_ms': windMs, 'cat': categoryFromWind(windMs)})));
+  })
+  .sort('system:time_start');
+
+// Construct Features (server-side)
+// 1. Segments: For drawing the colorful line (colored by the starting fix).
 // 2. Points: For the "Current Location" dot logic.
-var segments = [];
-var points = [];
+var bestTrackList = bestTrack.toList(IBTRACS.MAX_POINTS);
+var trackSegments = ee.FeatureCollection(ee.List(ee.Algorithms.If(
+  bestTrackList.size().gt(1),
+  ee.List.sequence(0, bestTrackList.size().subtract(2)).map(function(i) {
+    var p1 = ee.Feature(bestTrackList.get(i));
+    var p2 = ee.Feature(bestTrackList.get(ee.Number(i).add(1)));
+    return ee.Feature(
+      ee.Geometry.LineString([p1.geometry().coordinates(), p2.geometry().coordinates()]),
+      {
+        'system:time_start': p1.get('system:time_start'),
+        'system:time_end': p2.get('system:time_start'), // Important for filtering
+        // Display colour only: fixes without a reported wind draw as category 0
+        'cat': ee.Algorithms.If(ee.Algorithms.IsEqual(p1.get('cat'), null), 0, p1.get('cat'))
+      }
+    );
+  }),
+  ee.List([])
+)));
+var trackPoints = bestTrack.select(['system:time_start']);
 
-for (var i = 0; i < bestTrackData.length - 1; i++) {
-  var p1 = bestTrackData[i];
-  var p2 = bestTrackData[i+1];
-  
-  // Create Line Segment
-  segments.push(ee.Feature(
-    ee.Geometry.LineString([[p1.lon, p1.lat], [p2.lon, p2.lat]]), 
-    {
-      'system:time_start': ee.Date(p1.t).millis(),
-      'system:time_end': ee.Date(p2.t).millis(), // Important for filtering
-      'cat': p1.cat
-    }
-  ));
-  
-  // Create Point
-  points.push(ee.Feature(
-      ee.Geometry.Point([p1.lon, p1.lat]), 
-      {'system:time_start': ee.Date(p1.t).millis()}
-  ));
-}
+// Region & date window fitted to the track
+var REGION = bestTrack.geometry().bounds().buffer(IBTRACS.REGION_PAD_KM * 1000).bounds();
+var trackStart = ee.Date(bestTrack.aggregate_min('system:time_start'));
+var trackEnd = ee.Date(bestTrack.aggregate_max('system:time_start'));
 
-var trackSegments = ee.FeatureCollection(segments);
-var trackPoints = ee.FeatureCollection(points);
+var MODEL_INIT_DATE = STORM.INIT ? ee.Date(STORM.INIT) : ee.Date(trackStart.format('YYYY-MM-dd'));
+
+/**
+ * Frames of exactly one initialization run (start_time matches to the second),
+ * valid within the track window.
+ */
+var initFilterAt = function(initDate) {
+  initDate = ee.Date(initDate);
+  return ee.Filter.and(
+    ee.Filter.date(initDate, trackEnd.advance(1, 'day')),
+    ee.Filter.stringContains('start_time',
+        initDate.format('YYYY-MM-dd').cat('T').cat(initDate.format('HH:mm:ss')))
+  );
+};
+
+// Default: the midnight initialization run
+var INIT_FILTER = initFilterAt(MODEL_INIT_DATE);
 
 // =========================================
 // 3. STATIC BACKGROUND
 // =========================================
 
+var countries = ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017');
+
 // Pre-render the static background once to avoid re-computing per frame
 var background = ee.ImageCollection([
   ee.Image(0).visualize({palette: ['010409']}), // Black Sea
-  ee.Image().paint(ee.FeatureCollection('USDOS/LSIB_SIMPLE/2017'), 1).gt(0)
+  ee.Image().paint(countries, 1).gt(0)
     .visualize({palette: ['2a2a2a'], opacity: 1}) // Dark Land
 ]).mosaic();
 
@@ -103,9 +232,23 @@ var background = ee.ImageCollection([
 // 4. FORECAST DATA & JOIN
 // =========================================
 
-var forecastCol = ee.ImageCollection('projects/gcp-public-data-weathernext/assets/weathernext_2_0_0')
-    .filter(INIT_FILTER)
-    .select(['100m_u_component_of_wind', '100m_v_component_of_wind']);
+var weathernextCol = ee.ImageCollection('projects/gcp-public-data-weathernext/assets/weathernext_2_0_0')
+    .select(['10m_u_component_of_wind', '10m_v_component_of_wind',
+             '100m_u_component_of_wind', '100m_v_component_of_wind',
+             'mean_sea_level_pressure']);
+
+// All members of the chosen init; the video and error statistics use ENSEMBLE_MEMBER
+var ensembleCol = weathernextCol.filter(INIT_FILTER);
+
+var forecastCol = ensembleCol.filter(ee.Filter.eq('ensemble_member', ENSEMBLE_MEMBER));
+
+/**
+ * Wind speed (m/s) at HUB_HEIGHT_M via the power law v(h) = v100 * (h/100)^alpha,
+ * see windphysics.hubSpeed().
+ */
+var calcHubSpeed = function(img) {
+  return windphysics.hubSpeed(img, HUB_HEIGHT_M, SHEAR);
+};
 
 // OPTIMIZATION: Use a MaxDifference Join to find the ground truth point
 // that matches the forecast timestamp.
@@ -120,7 +263,554 @@ var saveBestJoin = ee.Join.saveBest('matched_truth_point', 'system:time_start');
 var joinedCol = saveBestJoin.apply(forecastCol, trackPoints, timeFilter);
 
 // =========================================
-// 5. FRAME COMPOSITION
+// 5. CYCLONE TRACKER
+// =========================================
+
+/**
+ * Cyclonic relative vorticity (1/s) of the 10m wind: zeta = dv/dx - du/dy,
+ * sign-flipped in the southern hemisphere. gradient() is per metre.
+ */
+var calcVorticity = function(img) {
+  var zeta = img.select('10m_v_component_of_wind').gradient().select('x')
+      .subtract(img.select('10m_u_component_of_wind').gradient().select('y'));
+  var hemisphere = ee.Image.pixelLonLat().select('latitude').gte(0).multiply(2).subtract(1);
+  return zeta.multiply(hemisphere).rename('cyclonic_vorticity');
+};
+
+/**
+ * First guess: best-track fix closest to an initialization time.
+ */
+var firstGuessAt = function(initDate) {
+  var initMillis = ee.Date(initDate).millis();
+  return ee.Feature(bestTrack.map(function(p) {
+    return p.set('init_offset', ee.Number(p.get('system:time_start')).subtract(initMillis).abs());
+  }).sort('init_offset').first());
+};
+
+var firstGuess = firstGuessAt(MODEL_INIT_DATE);
+
+/**
+ * One tracker step: MSLP minimum within SEARCH_RADIUS_KM of the previous centre,
+ * accepted only if vorticity and wind around it are cyclone-like.
+ * Once a check fails the storm is considered lost and tracking stops.
+ */
+var trackStep = function(img, state) {
+  img = ee.Image(img);
+  state = ee.Dictionary(state);
+  var stopped = state.set('active', 0);
+
+  var previous = ee.Geometry.Point([state.get('lon'), state.get('lat')]);
+  var pressureMin = img.select('mean_sea_level_pressure').addBands(ee.Image.pixelLonLat())
+    .reduceRegion({
+      reducer: ee.Reducer.min(3),
+      geometry: previous.buffer(TRACKER.SEARCH_RADIUS_KM * 1000),
+      scale: TRACKER.SCALE_M,
+      bestEffort: true
+    });
+  var lon = pressureMin.get('min1');
+  var lat = pressureMin.get('min2');
+  var centre = ee.Geometry.Point([lon, lat]);
+
+  var core = calcVorticity(img).addBands(windphysics.windSpeed(img, '10m'))
+    .reduceRegion({
+      reducer: ee.Reducer.max(),
+      geometry: centre.buffer(TRACKER.CORE_RADIUS_KM * 1000),
+      scale: TRACKER.SCALE_M,
+      bestEffort: true
+    });
+  var vorticity = ee.Number(core.get('cyclonic_vorticity'));
+  var maxWind = ee.Number(core.get('wind_speed'));
+  var isCyclone = vorticity.gte(TRACKER.MIN_VORTICITY).and(maxWind.gte(TRACKER.MIN_WIND_MS));
+
+  var fix = ee.Feature(centre, {
+    'system:time_start': img.get('system:time_start'),
+    'valid_time': ee.Date(img.get('system:time_start')).format('YYYY-MM-dd HH:mm'),
+    'forecast_hour': img.get('forecast_hour'),
+    'ensemble_member': img.get('ensemble_member'),
+    'lon': lon,
+    'lat': lat,
+    'mslp_hpa': ee.Number(pressureMin.get('min')).divide(100),
+    'max_wind_ms': maxWind,
+    'vorticity': vorticity
+  });
+  var tracked = state.set('lon', lon).set('lat', lat)
+      .set('track', ee.List(state.get('track')).add(fix));
+
+  return ee.Algorithms.If(ee.Number(state.get('active')).eq(0), state,
+    ee.Algorithms.If(ee.Algorithms.IsEqual(pressureMin.get('min'), null), stopped,
+      ee.Algorithms.If(isCyclone, tracked, stopped)));
+};
+
+/**
+ * Tracker fixes (ee.List of Features) for one member's frames, started from
+ * `guess` (a best-track feature; defaults to firstGuess).
+ */
+var trackMember = function(col, guess) {
+  guess = guess || firstGuess;
+  var state = ee.Dictionary(col.sort('system:time_start')
+    .toList(TRACKER.MAX_STEPS)
+    .iterate(trackStep, ee.Dictionary({
+      lon: guess.get('lon'), lat: guess.get('lat'), active: 1, track: ee.List([])
+    })));
+  return ee.List(state.get('track'));
+};
+
+/**
+ * Segments between consecutive fixes, stamped with the later fix's time and properties.
+ */
+var trackToSegments = function(fixes) {
+  fixes = ee.List(fixes);
+  return ee.FeatureCollection(ee.List(ee.Algorithms.If(
+    fixes.size().gt(1),
+    ee.List.sequence(1, fixes.size().subtract(1)).map(function(i) {
+      var a = ee.Feature(fixes.get(ee.Number(i).subtract(1)));
+      var b = ee.Feature(fixes.get(i));
+      return ee.Feature(
+        ee.Geometry.LineString([a.geometry().coordinates(), b.geometry().coordinates()])
+      ).copyProperties(b).set('system:time_start', b.get('system:time_start'));
+    }),
+    ee.List([])
+  )));
+};
+
+var trackFixes = trackMember(forecastCol);
+var forecastTrack = ee.FeatureCollection(trackFixes);
+var forecastSegments = trackToSegments(trackFixes);
+
+// =========================================
+// 6. TRACK & INTENSITY ERRORS (client-side)
+// =========================================
+
+var toRad = function(deg) { return deg * Math.PI / 180; };
+
+/**
+ * Great-circle (haversine) distance in km.
+ */
+var haversineKm = function(lat1, lon1, lat2, lon2) {
+  var dLat = toRad(lat2 - lat1);
+  var dLon = toRad(lon2 - lon1);
+  var a = Math.pow(Math.sin(dLat / 2), 2) +
+          Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.pow(Math.sin(dLon / 2), 2);
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Initial great-circle bearing from point 1 to point 2 (degrees from north).
+ */
+var bearingDeg = function(lat1, lon1, lat2, lon2) {
+  var y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+  var x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+          Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Best-track max wind (m/s) at a valid time, interpolated between the bracketing
+ * fixes that report a wind. Null where no such pair brackets the time.
+ */
+var interpolateBestWind = function(best, millis) {
+  var reported = best.filter(function(p) { return typeof p.wind_ms === 'number'; });
+  for (var i = 0; i < reported.length - 1; i++) {
+    var p1 = reported[i];
+    var p2 = reported[i + 1];
+    var t1 = p1['system:time_start'];
+    var t2 = p2['system:time_start'];
+    if (millis >= t1 && millis <= t2) {
+      return p1.wind_ms + (millis - t1) / (t2 - t1) * (p2.wind_ms - p1.wind_ms);
+    }
+  }
+  return null;
+};
+
+/**
+ * Best-track position, heading and max wind at a valid time, linearly interpolated
+ * between the bracketing fixes (evaluated bestTrack properties, time-sorted).
+ * Null outside the best-track period; windMs is null where no reported wind brackets it.
+ */
+var interpolateBestTrack = function(best, millis) {
+  for (var i = 0; i < best.length - 1; i++) {
+    var p1 = best[i];
+    var p2 = best[i + 1];
+    var t1 = p1['system:time_start'];
+    var t2 = p2['system:time_start'];
+    if (millis >= t1 && millis <= t2) {
+      var frac = (millis - t1) / (t2 - t1);
+      return {
+        lat: p1.lat + frac * (p2.lat - p1.lat),
+        lon: p1.lon + frac * (p2.lon - p1.lon),
+        heading: bearingDeg(p1.lat, p1.lon, p2.lat, p2.lon),
+        windMs: interpolateBestWind(best, millis)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Error rows for tracker fixes (properties of forecastTrack features).
+ * Along-track error is positive when the forecast is ahead of the storm,
+ * cross-track error positive when it is to the right of the motion.
+ * Intensity fields are null where the best track reports no wind.
+ */
+var calcTrackErrors = function(fixes, best) {
+  var rows = [];
+  fixes.forEach(function(fix) {
+    var truth = interpolateBestTrack(best, fix['system:time_start']);
+    if (!truth) return;
+    var distKm = haversineKm(truth.lat, truth.lon, fix.lat, fix.lon);
+    var relative = toRad(bearingDeg(truth.lat, truth.lon, fix.lat, fix.lon) - truth.heading);
+    rows.push({
+      forecast_hour: fix.forecast_hour,
+      valid_time: fix.valid_time,
+      position_error_km: distKm,
+      along_track_km: distKm * Math.cos(relative),
+      cross_track_km: distKm * Math.sin(relative),
+      model_wind_ms: fix.max_wind_ms,
+      best_wind_ms: truth.windMs,
+      wind_error_ms: truth.windMs === null ? null : fix.max_wind_ms - truth.windMs
+    });
+  });
+  return rows.sort(function(a, b) { return a.forecast_hour - b.forecast_hour; });
+};
+
+ee.Dictionary({
+  fixes: forecastTrack,
+  best: bestTrack,
+  init: MODEL_INIT_DATE.format('YYYY-MM-dd')
+}).evaluate(function(result, error) {
+  if (error) {
+    print('Track error statistics failed: ' + error);
+    return;
+  }
+  var properties = function(fc) { return fc.features.map(function(f) { return f.properties; }); };
+  var rows = calcTrackErrors(properties(result.fixes), properties(result.best));
+  if (rows.length === 0) {
+    print('Track error statistics: no tracker fixes overlap the best track.');
+    return;
+  }
+
+  print(ui.Chart([['forecast_hour', 'Position (km)', 'Along-track (km)', 'Cross-track (km)']]
+    .concat(rows.map(function(r) {
+      return [r.forecast_hour, r.position_error_km, r.along_track_km, r.cross_track_km];
+    })), 'LineChart', {
+      title: 'Track Error vs Lead Time (member ' + ENSEMBLE_MEMBER + ', init ' + result.init + ')',
+      hAxis: {title: 'forecast_hour'},
+      vAxis: {title: 'km'},
+      pointSize: 4
+    }));
+  // Intensity: only fixes with a reported best-track wind
+  var windRows = rows.filter(function(r) { return r.wind_error_ms !== null; });
+  print(ui.Chart([['forecast_hour', 'Intensity error (m/s)', 'Model max wind', 'Best track']]
+    .concat(windRows.map(function(r) {
+      return [r.forecast_hour, r.wind_error_ms, r.model_wind_ms, r.best_wind_ms];
+    })), 'LineChart', {
+      title: 'Max-Wind Intensity vs Lead Time (best track ' + IBTRACS.WIND_FIELD + ')',
+      hAxis: {title: 'forecast_hour'},
+      vAxis: {title: 'm/s'},
+      pointSize: 4
+    }));
+
+  var meanError = rows.reduce(function(s, r) { return s + r.position_error_km; }, 0) / rows.length;
+  print('Mean position error: ' + Math.round(meanError) + ' km over ' + rows.length + ' fixes');
+
+  Export.table.toDrive({
+    collection: ee.FeatureCollection(rows.map(function(r) { return ee.Feature(null, r); })),
+    description: ERRORS_EXPORT_DESCRIPTION,
+    fileFormat: 'CSV',
+    selectors: ['forecast_hour', 'valid_time', 'position_error_km', 'along_track_km', 'cross_track_km',
+                'model_wind_ms', 'best_wind_ms', 'wind_error_ms']
+  });
+});
+
+// =========================================
+// 7. ENSEMBLE SPREAD (strike & wind probability)
+// =========================================
+
+var memberIds = ee.List(ensembleCol.aggregate_array('ensemble_member')).distinct().sort()
+    .slice(0, ENSEMBLE.MAX_MEMBERS);
+var memberCount = memberIds.size();
+
+memberCount.evaluate(function(count) {
+  if (count === 0) {
+    print('No ensemble members for init ' + (STORM.INIT || 'of the first track day') +
+        ': probability layers and exports will be empty.');
+  }
+});
+
+// Fully masked stand-in with the expected band, so renames, layers and exports
+// still work when an init has no ensemble data
+var emptyProbability = function(name) {
+  return ee.Image.constant(0).updateMask(0).rename(name);
+};
+
+var memberCol = function(member) {
+  return ensembleCol.filter(ee.Filter.eq('ensemble_member', member));
+};
+
+// Every member tracked from the same first guess
+var memberTrackList = memberIds.map(function(member) {
+  return ee.FeatureCollection(trackMember(memberCol(member)));
+});
+var memberFixes = ee.FeatureCollection(memberTrackList).flatten();
+var memberSegments = ee.FeatureCollection(memberTrackList.map(function(fc) {
+  return trackToSegments(ee.FeatureCollection(fc).toList(TRACKER.MAX_STEPS));
+})).flatten();
+
+/**
+ * Percent of members whose storm centre passes within STRIKE_RADIUS_KM of each pixel.
+ */
+var calcStrikeProbability = function() {
+  var radiusM = ENSEMBLE.STRIKE_RADIUS_KM * 1000;
+  var strikes = ee.ImageCollection(memberIds.map(function(member) {
+    var track = memberFixes.filter(ee.Filter.eq('ensemble_member', member))
+        .merge(memberSegments.filter(ee.Filter.eq('ensemble_member', member)));
+    // distance() is masked beyond the search radius; members without fixes strike nowhere
+    return track.distance(radiusM).lte(radiusM).unmask(0).rename('strike');
+  }));
+  return ee.Image(ee.Algorithms.If(memberCount.gt(0),
+    strikes.mean().multiply(100).rename('strike_prob_pct'),
+    emptyProbability('strike_prob_pct'))).clip(REGION);
+};
+
+var exceedsWind = function(img) {
+  return windphysics.windSpeed(img, '10m').gt(ENSEMBLE.WIND_THRESHOLD_MS).rename('exceeds');
+};
+
+/**
+ * Percent of members whose 10m wind exceeds WIND_THRESHOLD_MS.
+ * @param {ee.ImageCollection} exceedances One 0/1 image per member.
+ */
+var calcWindExceedance = function(exceedances) {
+  return ee.Image(ee.Algorithms.If(exceedances.size().gt(0),
+    exceedances.mean().multiply(100).rename('wind_exceed_pct'),
+    emptyProbability('wind_exceed_pct'))).clip(REGION);
+};
+
+var strikeProbability = calcStrikeProbability();
+// At any time during the run
+var windExceedance = calcWindExceedance(ee.ImageCollection(memberIds.map(function(member) {
+  return memberCol(member).map(exceedsWind).max().unmask(0);
+})));
+
+var probabilityLayer = function(prob) {
+  return prob.updateMask(prob.gt(0)).visualize(VIS_PROBABILITY);
+};
+
+var spaghettiLayer = function(segments) {
+  return ee.Image().paint(segments, 1, 1)
+      .visualize({palette: ENSEMBLE.SPAGHETTI_COLOR, opacity: ENSEMBLE.SPAGHETTI_OPACITY});
+};
+
+// Static summary: strike probability, all member tracks and the best track
+var ensembleSummary = ee.ImageCollection([
+  background,
+  probabilityLayer(strikeProbability),
+  spaghettiLayer(memberSegments),
+  ee.Image().paint(trackSegments, 'cat', 2).visualize(VIS_TRACK)
+]).mosaic();
+
+/**
+ * Animated frame at one valid time: P(wind > threshold) at that time,
+ * member tracks so far, member centres now and the best track so far.
+ */
+var ensembleFrame = function(millis) {
+  millis = ee.Number(millis);
+  var prob = calcWindExceedance(ensembleCol.filter(ee.Filter.eq('system:time_start', millis)).map(exceedsWind));
+  return ee.ImageCollection([
+    background,
+    probabilityLayer(prob),
+    spaghettiLayer(memberSegments.filter(ee.Filter.lte('system:time_start', millis))),
+    ee.Image().paint(memberFixes.filter(ee.Filter.eq('system:time_start', millis)), 1, 3)
+      .visualize({palette: TRACKER.COLOR}),
+    ee.Image().paint(trackSegments.filter(ee.Filter.lt('system:time_start', millis)), 'cat', TRACK_THICKNESS)
+      .visualize(VIS_TRACK)
+  ]).mosaic().set('system:time_start', millis);
+};
+
+var ensembleFrames = ee.ImageCollection(
+  ee.List(ensembleCol.aggregate_array('system:time_start')).distinct().sort().map(ensembleFrame));
+
+// =========================================
+// 8. MULTI-INIT COMPARISON
+// =========================================
+
+/**
+ * Landfall: the first fix over land (LSIB) after the first fix over sea, as a
+ * FeatureCollection of zero or one fix. Resolution is that of the 6-hourly fixes.
+ */
+var landfallOf = function(fixes) {
+  var flagged = ee.FeatureCollection(fixes).map(function(fix) {
+    return fix.set('over_land', countries.filterBounds(fix.geometry()).size().gt(0));
+  });
+  var firstSea = flagged.filter(ee.Filter.eq('over_land', 0)).aggregate_min('system:time_start');
+  return ee.FeatureCollection(ee.Algorithms.If(ee.Algorithms.IsEqual(firstSea, null),
+    flagged.limit(0),
+    flagged.filter(ee.Filter.eq('over_land', 1))
+      .filter(ee.Filter.gt('system:time_start', firstSea))
+      .sort('system:time_start')
+      .limit(1)));
+};
+
+var bestLandfall = landfallOf(bestTrack);
+
+// Newest default init: the last 00Z run at least an hour before the best-track
+// landfall (or the track end when the storm never reaches land)
+var landfallMillis = ee.Number(ee.Algorithms.If(bestLandfall.size().gt(0),
+    bestLandfall.first().get('system:time_start'), trackEnd.millis()));
+var lastInitDay = ee.Date(ee.Date(landfallMillis).advance(-1, 'hour').format('YYYY-MM-dd'));
+var defaultInitCount = lastInitDay.difference(ee.Date(trackStart.format('YYYY-MM-dd')), 'day')
+    .floor().add(1).min(MULTI_INIT.MAX_INITS).max(1);
+
+// Inits to compare: STORM.INITS, or the last MAX_INITS daily 00Z runs before landfall
+var multiInitDates = STORM.INITS
+  ? ee.List(STORM.INITS.split(',').map(function(s) { return ee.Date(s.trim()); }))
+      .slice(0, MULTI_INIT.MAX_INITS)
+  : ee.List.sequence(0, defaultInitCount.subtract(1)).map(function(i) {
+      return lastInitDay.advance(ee.Number(i).subtract(defaultInitCount.subtract(1)), 'day');
+    });
+
+var newestInit = ee.Date(multiInitDates.map(function(d) { return ee.Date(d).millis(); })
+    .reduce(ee.Reducer.max()));
+
+var runCol = function(initDate) {
+  return weathernextCol.filter(initFilterAt(initDate))
+      .filter(ee.Filter.eq('ensemble_member', ENSEMBLE_MEMBER));
+};
+
+// One tracked run per init, each fix stamped with its init and init age
+var initRuns = multiInitDates.map(function(d) {
+  d = ee.Date(d);
+  var props = {
+    'init': d.format('YYYY-MM-dd HH:mm'),
+    'init_millis': d.millis(),
+    'init_age_h': newestInit.difference(d, 'hour')
+  };
+  return ee.FeatureCollection(trackMember(runCol(d), firstGuessAt(d)))
+      .map(function(fix) { return fix.set(props); });
+});
+var initRunFixes = ee.FeatureCollection(initRuns).flatten();
+var initRunSegments = ee.FeatureCollection(initRuns.map(function(fc) {
+  return trackToSegments(ee.FeatureCollection(fc).toList(TRACKER.MAX_STEPS));
+})).flatten();
+
+var initAgeLayer = ee.Image().paint(initRunSegments, 'init_age_h', 2).visualize(MULTI_INIT.VIS_AGE);
+
+var initLandfalls = ee.FeatureCollection(initRuns.map(landfallOf)).flatten();
+
+/**
+ * Landfall error rows per init (client-side). Inits whose run or best track
+ * never makes landfall are reported without errors.
+ */
+var calcLandfallErrors = function(inits, runs, best) {
+  return inits.map(function(init) {
+    var run = runs.filter(function(r) { return r.init === init; })[0];
+    var row = {init: init, landfall_time: '', time_error_h: null, position_error_km: null};
+    if (!run || !best) return row;
+    row.landfall_time = run.valid_time;
+    row.time_error_h = (run['system:time_start'] - best['system:time_start']) / 3600000;
+    row.position_error_km = haversineKm(best.lat, best.lon, run.lat, run.lon);
+    return row;
+  });
+};
+
+ee.Dictionary({
+  inits: multiInitDates.map(function(d) { return ee.Date(d).format('YYYY-MM-dd HH:mm'); }),
+  runs: initLandfalls,
+  best: bestLandfall
+}).evaluate(function(result, error) {
+  if (error) {
+    print('Landfall comparison failed: ' + error);
+    return;
+  }
+  var properties = function(fc) { return fc.features.map(function(f) { return f.properties; }); };
+  var best = properties(result.best)[0];
+  if (!best) {
+    print('Landfall comparison: the best track makes no landfall.');
+    return;
+  }
+  var rows = calcLandfallErrors(result.inits, properties(result.runs), best);
+
+  print(ui.Chart([['init', 'Landfall time error (h)', 'Landfall position error (km)']]
+    .concat(rows.map(function(r) {
+      return [r.init, r.time_error_h, r.position_error_km];
+    })), 'LineChart', {
+      title: 'Landfall Error vs Init (member ' + ENSEMBLE_MEMBER + ', best-track landfall ' +
+          new Date(best['system:time_start']).toISOString().slice(0, 16) + 'Z)',
+      hAxis: {title: 'init'},
+      vAxes: {0: {title: 'hours (+ = late)'}, 1: {title: 'km'}},
+      series: {0: {targetAxisIndex: 0}, 1: {targetAxisIndex: 1}},
+      interpolateNulls: false,
+      pointSize: 5
+    }));
+
+  Export.table.toDrive({
+    collection: ee.FeatureCollection(rows.map(function(r) { return ee.Feature(null, r); })),
+    description: MULTI_INIT.LANDFALL_DESCRIPTION,
+    fileFormat: 'CSV',
+    selectors: ['init', 'landfall_time', 'time_error_h', 'position_error_km']
+  });
+});
+
+/**
+ * One panel of the side-by-side video: a run's forecast wind at a valid time,
+ * its track so far (`segments`) and the best track so far.
+ */
+var runPanel = function(initDate, segments, millis) {
+  var forecastLayer = runCol(initDate).filter(ee.Filter.eq('system:time_start', millis))
+    .map(function(img) {
+      var speed = calcHubSpeed(img).resample('bicubic');
+      return speed.updateMask(speed.gte(15)).visualize(VIS_FORECAST);
+    });
+  var runTrack = segments.filter(ee.Filter.lte('system:time_start', millis));
+  return ee.ImageCollection([background])
+    .merge(forecastLayer)
+    .merge(ee.ImageCollection([
+      ee.Image().paint(trackSegments.filter(ee.Filter.lt('system:time_start', millis)), 'cat', TRACK_THICKNESS)
+        .visualize(VIS_TRACK),
+      ee.Image().paint(runTrack, 1, 2).visualize({palette: TRACKER.COLOR})
+    ]))
+    .mosaic()
+    .clip(REGION);
+};
+
+// Side-by-side: the first STORM.COMPARE init on the left, the second shifted east by the region width
+var compareInits = STORM.COMPARE ? STORM.COMPARE.split(',').map(function(s) { return ee.Date(s.trim()); }) : [];
+if (STORM.COMPARE && compareInits.length !== 2) {
+  print('Side-by-side video skipped: ?compare= needs exactly two inits (e.g. 2025-10-21,2025-10-24), got "' +
+      STORM.COMPARE + '".');
+  compareInits = [];
+}
+var compareSegments = compareInits.map(function(d) {
+  return trackToSegments(trackMember(runCol(d), firstGuessAt(d)));
+});
+var regionCorners = ee.List(REGION.coordinates().get(0));
+var regionWest = ee.Number(ee.List(regionCorners.get(0)).get(0));
+var regionSouth = ee.Number(ee.List(regionCorners.get(0)).get(1));
+var regionEast = ee.Number(ee.List(regionCorners.get(2)).get(0));
+var regionNorth = ee.Number(ee.List(regionCorners.get(2)).get(1));
+var regionWidth = regionEast.subtract(regionWest);
+var sideBySideRegion = ee.Geometry.Rectangle({
+  coords: ee.List([regionWest, regionSouth, regionEast.add(regionWidth), regionNorth]),
+  proj: 'EPSG:4326',
+  geodesic: false
+});
+
+var sideBySideFrame = function(millis) {
+  millis = ee.Number(millis);
+  var left = runPanel(compareInits[0], compareSegments[0], millis);
+  var right = runPanel(compareInits[1], compareSegments[1], millis)
+    .changeProj(ee.Projection('EPSG:4326'), ee.Projection('EPSG:4326').translate(regionWidth, 0));
+  return ee.ImageCollection([left, right]).mosaic().set('system:time_start', millis);
+};
+
+// Valid times of the later run (both runs cover them)
+var sideBySideFrames = compareInits.length === 2
+  ? ee.ImageCollection(ee.List(runCol(compareInits[1]).aggregate_array('system:time_start'))
+      .distinct().sort().map(sideBySideFrame))
+  : null;
+
+// =========================================
+// 9. FRAME COMPOSITION
 // =========================================
 
 var processFrame = function(img) {
@@ -132,12 +822,7 @@ var processFrame = function(img) {
 
   // A. Forecast Layer (The "Prophecy")
   // Now .expression() will work because 'img' is strictly defined as an Image
-  var speed = img.expression(
-    'sqrt(u**2 + v**2)', {
-      'u': img.select(['100m_u_component_of_wind']),
-      'v': img.select(['100m_v_component_of_wind'])
-    }
-  ).resample('bicubic'); 
+  var speed = calcHubSpeed(img).resample('bicubic'); 
                  
   var forecastLayer = speed.updateMask(speed.gte(15))
                            .visualize(VIS_FORECAST);
@@ -156,8 +841,16 @@ var processFrame = function(img) {
     ee.Image(0).visualize({opacity: 0}) 
   );
 
-  // D. Composite
-  return ee.ImageCollection([background, forecastLayer, trackLayer, ee.Image(dotLayer)])
+  // D. Model Track (tracker fixes up to this frame)
+  var modelTrack = forecastSegments.filter(ee.Filter.lte('system:time_start', currentMillis));
+  var modelFix = forecastTrack.filter(ee.Filter.eq('system:time_start', currentMillis));
+  var modelLayer = ee.ImageCollection([
+    ee.Image().paint(modelTrack, 1, 2).visualize({palette: TRACKER.COLOR}),
+    ee.Image().paint(modelFix, 1, 3).visualize({palette: TRACKER.COLOR})
+  ]).mosaic();
+
+  // E. Composite
+  return ee.ImageCollection([background, forecastLayer, trackLayer, modelLayer, ee.Image(dotLayer)])
       .mosaic()
       .set('system:time_start', currentMillis);
 };
@@ -165,23 +858,91 @@ var processFrame = function(img) {
 var frames = ee.ImageCollection(joinedCol.map(processFrame)).sort('system:time_start');
 
 // =========================================
-// 6. EXPORT
+// 10. EXPORT
 // =========================================
 
 Export.video.toDrive({
   collection: frames,
-  description: 'Melissa_Forecast_Oct23',
+  description: RUN_NAME + '_Forecast',
   dimensions: 1080,
   framesPerSecond: 24,
   region: REGION,
   maxFrames: 5000
 });
 
+Export.table.toDrive({
+  collection: forecastTrack,
+  description: TRACKER.EXPORT_DESCRIPTION,
+  fileFormat: 'CSV',
+  selectors: ['valid_time', 'forecast_hour', 'lon', 'lat', 'mslp_hpa', 'max_wind_ms', 'vorticity']
+});
+
+// Ensemble: animated probability, static summary, raw probabilities and member tracks
+Export.video.toDrive({
+  collection: ensembleFrames,
+  description: ENSEMBLE.VIDEO_DESCRIPTION,
+  dimensions: 1080,
+  framesPerSecond: 8,
+  region: REGION,
+  maxFrames: 5000
+});
+
+Export.image.toDrive({
+  image: ensembleSummary,
+  description: ENSEMBLE.SUMMARY_DESCRIPTION,
+  dimensions: 2048,
+  region: REGION
+});
+
+Export.image.toDrive({
+  image: strikeProbability.addBands(windExceedance).toFloat(),
+  description: ENSEMBLE.PROBABILITY_DESCRIPTION,
+  scale: ENSEMBLE.EXPORT_SCALE_M,
+  region: REGION,
+  maxPixels: 1e10
+});
+
+Export.table.toDrive({
+  collection: initRunFixes,
+  description: MULTI_INIT.TRACKS_DESCRIPTION,
+  fileFormat: 'CSV',
+  selectors: ['init', 'init_age_h', 'valid_time', 'forecast_hour', 'lon', 'lat', 'mslp_hpa', 'max_wind_ms']
+});
+
+if (sideBySideFrames) {
+  Export.video.toDrive({
+    collection: sideBySideFrames,
+    description: MULTI_INIT.VIDEO_DESCRIPTION,
+    dimensions: 1920,
+    framesPerSecond: 8,
+    region: sideBySideRegion,
+    maxFrames: 5000
+  });
+}
+
+Export.table.toDrive({
+  collection: memberFixes,
+  description: ENSEMBLE.TRACKS_DESCRIPTION,
+  fileFormat: 'CSV',
+  selectors: ['ensemble_member', 'valid_time', 'forecast_hour', 'lon', 'lat', 'mslp_hpa', 'max_wind_ms']
+});
+
 // =========================================
-// 7. PREVIEW
+// 11. PREVIEW
 // =========================================
 
-Map.setCenter(-70.0, 22.0, 4);
+Map.centerObject(REGION);
 Map.addLayer(background, {}, 'Base Map');
 Map.addLayer(ee.Image().paint(trackSegments, 'cat', 2).visualize(VIS_TRACK), {}, 'Full Ground Truth Track');
+Map.addLayer(ee.Image().paint(forecastSegments, 1, 2).visualize({palette: TRACKER.COLOR}), {},
+    'Model Track (member ' + ENSEMBLE_MEMBER + ')');
+print('Best-track fixes (' + STORM.NAME + ' ' + STORM.SEASON + ' ' + STORM.BASIN + '):', bestTrack.size());
+Map.addLayer(strikeProbability, VIS_PROBABILITY,
+    'Strike Probability (% members within ' + ENSEMBLE.STRIKE_RADIUS_KM + ' km)', false);
+Map.addLayer(windExceedance, VIS_PROBABILITY,
+    'P(10m wind > ' + ENSEMBLE.WIND_THRESHOLD_MS + ' m/s) (% members)', false);
+Map.addLayer(spaghettiLayer(memberSegments), {}, 'Ensemble Tracks (spaghetti)', false);
+Map.addLayer(initAgeLayer, {}, 'Tracks by Init (red = newest)', false);
+print('Tracker fixes:', forecastTrack.size());
+print('Ensemble members tracked:', memberCount);
 print('Script Ready. Run the Export task to generate the validation video.');
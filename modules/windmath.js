@@ -0,0 +1,251 @@
+/** Experimental code for Google Earth Engine
+ * @fileoverview WIND MATH (shared module, pure numbers)
+ * * Wind speed, shear, air density, power density and turbine output on plain
+ * * JavaScript numbers. No Earth Engine calls, so it runs on evaluated values in
+ * * the browser and under Node (tests/). modules/windphysics.js applies the same
+ * * formulas to ee.Image bands and reads its constants from here.
+ * * Usage: var windmath = require('users/YOUR_USERNAME/weathernext2:modules/windmath');
+ * License: MIT
+ */
+
+// =========================================
+// 1. CONSTANTS
+// =========================================
+
+var CONSTANTS = {
+  AIR_DENSITY: 1.225,   // kg/m³, sea-level standard (power curve reference)
+  GAS_CONSTANT: 287.05, // J/(kg·K), dry air
+  LAPSE_RATE: 0.0065,   // K/m, ICAO standard atmosphere
+  GRAVITY: 9.80665,     // m/s²
+  SEA_LEVEL_TEMP: 288.15,    // K
+  SEA_LEVEL_PRESSURE: 101325 // Pa
+};
+// Barometric exponent g / (R * L) of the standard atmosphere
+CONSTANTS.BARO_EXP = CONSTANTS.GRAVITY / (CONSTANTS.GAS_CONSTANT * CONSTANTS.LAPSE_RATE);
+
+// Shear defaults; scripts override individual keys through their own SHEAR config
+var SHEAR_DEFAULTS = {
+  METHOD: 'power',       // 'power' = per-pixel shear exponent, 'log' = per-pixel roughness length
+  FALLBACK_ALPHA: 1 / 7, // Used where the 10m/100m pair gives no usable profile
+  MAX_ALPHA: 0.6,        // Exponents above this are treated as stable-layer artifacts
+  MAX_Z0_M: 5,           // Roughness lengths above this are not physical
+  MIN_V10: 0.5           // m/s, calmer surface winds give no usable exponent
+};
+
+// Weibull fit by the method of moments (Justus): k = (sigma / mean)^-1.086
+var WEIBULL = {
+  K_EXPONENT: -1.086,
+  MIN_K: 1.0,
+  MAX_K: 10.0
+};
+
+exports.CONSTANTS = CONSTANTS;
+exports.SHEAR_DEFAULTS = SHEAR_DEFAULTS;
+exports.WEIBULL = WEIBULL;
+
+/**
+ * Fills missing keys of a script's SHEAR config with SHEAR_DEFAULTS.
+ */
+var withShearDefaults = function(shear) {
+  var out = {};
+  for (var key in SHEAR_DEFAULTS) {
+    out[key] = (shear && shear[key] !== undefined) ? shear[key] : SHEAR_DEFAULTS[key];
+  }
+  return out;
+};
+exports.withShearDefaults = withShearDefaults;
+
+// =========================================
+// 2. WIND
+// =========================================
+
+/**
+ * Horizontal wind speed (m/s) from u/v components.
+ */
+exports.windSpeed = function(u, v) {
+  return Math.sqrt(u * u + v * v);
+};
+
+/**
+ * Meteorological wind direction (degrees the wind blows FROM, 0 = N, 90 = E).
+ */
+exports.windDirection = function(u, v) {
+  return (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Estimates wind speed at hub height from the 10m and 100m levels.
+ * 'power': v(h) = v100 * (h/100)^alpha, alpha = ln(v100/v10) / ln(10)
+ * 'log':   v(h) = v100 * ln(h/z0) / ln(100/z0), z0 solved from both levels
+ * Calm, inverted or extreme profiles fall back to FALLBACK_ALPHA.
+ * Number twin of windphysics.hubSpeed().
+ */
+exports.hubSpeed = function(v10, v100, hubHeight, shear) {
+  if (hubHeight === 100) return v100;
+  var s = withShearDefaults(shear);
+  var ratio = hubHeight / 100;
+  var fallback = v100 * Math.pow(ratio, s.FALLBACK_ALPHA);
+
+  if (s.METHOD === 'log') {
+    if (!(v100 > v10)) return fallback;
+    var lnZ0 = (v100 * Math.log(10) - v10 * Math.log(100)) / (v100 - v10);
+    if (!(lnZ0 < Math.log(s.MAX_Z0_M))) return fallback;
+    return v100 * (Math.log(hubHeight) - lnZ0) / (Math.log(100) - lnZ0);
+  }
+
+  if (!(v10 > s.MIN_V10)) return fallback;
+  var alpha = Math.log(v100 / v10) / Math.log(10);
+  if (!(alpha >= 0 && alpha <= s.MAX_ALPHA)) return fallback;
+  return v100 * Math.pow(ratio, alpha);
+};
+
+// =========================================
+// 3. AIR DENSITY
+// =========================================
+
+/**
+ * Standard atmosphere at an altitude (m): {temperature: K, pressure: Pa}.
+ */
+exports.standardAtmosphere = function(altitudeM) {
+  var C = CONSTANTS;
+  var temperature = C.SEA_LEVEL_TEMP - C.LAPSE_RATE * altitudeM;
+  return {
+    temperature: temperature,
+    pressure: C.SEA_LEVEL_PRESSURE * Math.pow(temperature / C.SEA_LEVEL_TEMP, C.BARO_EXP)
+  };
+};
+
+/**
+ * Ideal-gas air density (kg/m³): rho = p / (R * T).
+ */
+exports.airDensity = function(pressurePa, temperatureK) {
+  return pressurePa / (CONSTANTS.GAS_CONSTANT * temperatureK);
+};
+
+/**
+ * Air density (kg/m³) at hub height from whichever fields are available.
+ * 2m temperature is lapsed to the hub; surface pressure is lapsed by
+ * (T_hub / T_surface)^(g/RL); mean sea level pressure is scaled by the standard
+ * atmosphere at hub altitude. Missing fields (null) fall back to the standard
+ * atmosphere at elevationM + hubHeight. Number twin of windphysics.airDensity().
+ */
+exports.hubAirDensity = function(hubHeight, elevationM, fields) {
+  var C = CONSTANTS;
+  fields = fields || {};
+  var std = exports.standardAtmosphere(elevationM + hubHeight);
+  var stdRatio = std.pressure / C.SEA_LEVEL_PRESSURE;
+
+  var temperature = fields.t2m !== undefined && fields.t2m !== null ?
+      fields.t2m - C.LAPSE_RATE * (hubHeight - 2) : std.temperature;
+
+  var pressure;
+  if (fields.surfacePressure !== undefined && fields.surfacePressure !== null) {
+    pressure = fields.surfacePressure *
+        Math.pow(temperature / (temperature + C.LAPSE_RATE * (hubHeight - 2)), C.BARO_EXP);
+  } else if (fields.mslp !== undefined && fields.mslp !== null) {
+    pressure = fields.mslp * stdRatio;
+  } else {
+    pressure = std.pressure;
+  }
+  return exports.airDensity(pressure, temperature);
+};
+
+// =========================================
+// 4. POWER
+// =========================================
+
+/**
+ * Wind Power Density (W/m²): P/A = 0.5 * rho * v^3.
+ */
+exports.powerDensity = function(rho, speed) {
+  return 0.5 * rho * speed * speed * speed;
+};
+
+/**
+ * Density-normalised speed (IEC 61400-12): v_n = v * (rho / 1.225)^(1/3).
+ */
+exports.normalizedSpeed = function(speed, rho) {
+  return speed * Math.pow(rho / CONSTANTS.AIR_DENSITY, 1 / 3);
+};
+
+/**
+ * Linear interpolation on a tabulated curve, clamped at both ends.
+ * Number twin of ee.Image.interpolate(..., 'clamp').
+ */
+exports.interpCurve = function(xs, ys, x) {
+  if (x <= xs[0]) return ys[0];
+  for (var i = 1; i < xs.length; i++) {
+    if (x <= xs[i]) {
+      var frac = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+      return ys[i - 1] + frac * (ys[i] - ys[i - 1]);
+    }
+  }
+  return ys[ys.length - 1];
+};
+
+/**
+ * Turbine output (kW) for a hub-height speed and air density.
+ * The curve is read at the density-normalised speed; zero below cut-in and
+ * at/above cut-out (cut-out acts on the actual speed).
+ * @param {{cutIn: number, cutOut: number, curve: {speed: Array<number>, kw: Array<number>}}} turbine
+ */
+exports.turbinePowerKW = function(turbine, speed, rho) {
+  var normSpeed = exports.normalizedSpeed(speed, rho);
+  if (normSpeed < turbine.cutIn || speed >= turbine.cutOut) return 0;
+  return exports.interpCurve(turbine.curve.speed, turbine.curve.kw, normSpeed);
+};
+
+// =========================================
+// 5. STATISTICS
+// =========================================
+
+/**
+ * Gamma function (Lanczos approximation, g = 7), accurate to ~1e-13 for x > 0.5.
+ */
+var gamma = function(x) {
+  var g = 7;
+  var coef = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+              771.32342877765313, -176.61502916214059, 12.507343278686905,
+              -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+  x -= 1;
+  var a = coef[0];
+  var t = x + g + 0.5;
+  for (var i = 1; i < g + 2; i++) a += coef[i] / (x + i);
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+};
+exports.gamma = gamma;
+
+/**
+ * Weibull shape k (clamped to [MIN_K, MAX_K]) from the coefficient of variation.
+ * Number twin of the k in windphysics.weibullFromMoments().
+ */
+exports.weibullShape = function(mean, sd) {
+  return Math.min(WEIBULL.MAX_K, Math.max(WEIBULL.MIN_K, Math.pow(sd / mean, WEIBULL.K_EXPONENT)));
+};
+
+/**
+ * Fits Weibull shape k and scale c (m/s) by the method of moments:
+ * k = (sigma / mean)^-1.086, c = mean / Gamma(1 + 1/k). Uses the sample std. dev.
+ * @return {{k: number, c: number, mean: number, sd: number}|null} null for < 2 samples
+ *     or a zero mean / spread.
+ */
+exports.fitWeibull = function(speeds) {
+  var n = speeds.length;
+  if (n < 2) return null;
+  var mean = speeds.reduce(function(a, b) { return a + b; }, 0) / n;
+  var variance = speeds.reduce(function(a, s) { return a + (s - mean) * (s - mean); }, 0) / (n - 1);
+  var sd = Math.sqrt(variance);
+  if (mean <= 0 || sd <= 0) return null;
+  var k = exports.weibullShape(mean, sd);
+  return {k: k, c: mean / gamma(1 + 1 / k), mean: mean, sd: sd};
+};
+
+/**
+ * Weibull probability density at speed v (per m/s) for a {k, c} fit.
+ */
+exports.weibullPdf = function(fit, v) {
+  if (v <= 0) return 0;
+  var x = v / fit.c;
+  return (fit.k / fit.c) * Math.pow(x, fit.k - 1) * Math.exp(-Math.pow(x, fit.k));
+};
@@ -0,0 +1,168 @@
+/** Experimental code for Google Earth Engine
+ * @fileoverview WIND PHYSICS (shared module, Earth Engine)
+ * * The formulas of modules/windmath.js applied per pixel to WeatherNext frames.
+ * * Every script gets speed, shear, density, power density and turbine output
+ * * from here, so constants cannot drift between copies.
+ * * Usage: var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+ * *        var windmath = windphysics.math; // pure-number twins
+ * License: MIT
+ */
+
+var windmath = require('users/YOUR_USERNAME/weathernext2:modules/windmath');
+var C = windmath.CONSTANTS;
+
+exports.math = windmath;
+
+// WeatherNext 2 band names
+var BANDS = {
+  U10: '10m_u_component_of_wind',
+  V10: '10m_v_component_of_wind',
+  U100: '100m_u_component_of_wind',
+  V100: '100m_v_component_of_wind',
+  T2M: '2m_temperature',
+  SURFACE_PRESSURE: 'surface_pressure',
+  MSLP: 'mean_sea_level_pressure'
+};
+exports.BANDS = BANDS;
+
+/**
+ * Wind speed (m/s) at one WeatherNext level ('10m' or '100m').
+ */
+var windSpeed = function(img, level) {
+  img = ee.Image(img);
+  var prefix = level === '10m' ? '10m' : '100m';
+  return img.expression('sqrt(u**2 + v**2)', {
+    'u': img.select([prefix + '_u_component_of_wind']),
+    'v': img.select([prefix + '_v_component_of_wind'])
+  }).rename('wind_speed');
+};
+exports.windSpeed = windSpeed;
+
+/**
+ * Estimates wind speed (m/s) at hubHeight from the 10m and 100m levels.
+ * 'power': v(h) = v100 * (h/100)^alpha, alpha = ln(v100/v10) / ln(10)
+ * 'log':   v(h) = v100 * ln(h/z0) / ln(100/z0), z0 solved from both levels
+ * Calm, inverted or extreme profiles fall back to FALLBACK_ALPHA.
+ * @param {Object=} shear Overrides for windmath.SHEAR_DEFAULTS.
+ */
+exports.hubSpeed = function(img, hubHeight, shear) {
+  img = ee.Image(img);
+  var s = windmath.withShearDefaults(shear);
+  var v10 = windSpeed(img, '10m');
+  var v100 = windSpeed(img, '100m');
+  if (hubHeight === 100) return v100.rename('hub_speed');
+
+  var ratio = hubHeight / 100;
+  var fallback = v100.multiply(Math.pow(ratio, s.FALLBACK_ALPHA));
+  var shifted, valid;
+
+  if (s.METHOD === 'log') {
+    var lnZ0 = img.expression('(v100 * log(10) - v10 * log(100)) / (v100 - v10)', {
+      'v10': v10, 'v100': v100
+    });
+    valid = v100.gt(v10).and(lnZ0.lt(Math.log(s.MAX_Z0_M)));
+    shifted = img.expression('v100 * (log(h) - lnZ0) / (log(100) - lnZ0)', {
+      'v100': v100, 'lnZ0': lnZ0, 'h': ee.Image.constant(hubHeight)
+    });
+  } else {
+    var alpha = img.expression('log(v100 / v10) / log(10)', {'v10': v10, 'v100': v100});
+    valid = v10.gt(s.MIN_V10).and(alpha.gte(0)).and(alpha.lte(s.MAX_ALPHA));
+    shifted = img.expression('v100 * ratio ** alpha', {
+      'v100': v100, 'alpha': alpha, 'ratio': ee.Image.constant(ratio)
+    });
+  }
+
+  return fallback.where(valid.unmask(0), shifted).rename('hub_speed');
+};
+
+/**
+ * Estimates air density (kg/m³) at hubHeight: rho = p / (R * T).
+ * Uses '2m_temperature' and 'surface_pressure' (or 'mean_sea_level_pressure'
+ * scaled to hub altitude), lapsed to the hub. Missing bands fall back to the
+ * standard atmosphere at terrain height + hub.
+ * @param {ee.Image=} elevation Terrain height (m); sea level if omitted.
+ */
+exports.airDensity = function(img, hubHeight, elevation) {
+  img = ee.Image(img);
+  var bands = img.bandNames();
+  var hubAltitude = ee.Image(elevation || 0).add(hubHeight);
+
+  // Standard atmosphere at hub altitude
+  var stdTemp = hubAltitude.expression('T0 - L * z', {
+    'z': hubAltitude, 'T0': ee.Image.constant(C.SEA_LEVEL_TEMP), 'L': ee.Image.constant(C.LAPSE_RATE)
+  });
+  var stdRatio = stdTemp.expression('(t / T0) ** n', {
+    't': stdTemp, 'T0': ee.Image.constant(C.SEA_LEVEL_TEMP), 'n': ee.Image.constant(C.BARO_EXP)
+  });
+
+  var temperature = ee.Image(ee.Algorithms.If(
+    bands.contains(BANDS.T2M),
+    img.select([BANDS.T2M]).subtract(C.LAPSE_RATE * (hubHeight - 2)),
+    stdTemp
+  ));
+
+  // p(hub) / p(surface) = (T_hub / T_surface)^(g / RL), surface = the 2m reference
+  var pressure = ee.Image(ee.Algorithms.If(
+    bands.contains(BANDS.SURFACE_PRESSURE),
+    img.expression('ps * (t / (t + L * h)) ** n', {
+      'ps': img.select([BANDS.SURFACE_PRESSURE]), 't': temperature,
+      'L': ee.Image.constant(C.LAPSE_RATE), 'h': ee.Image.constant(hubHeight - 2),
+      'n': ee.Image.constant(C.BARO_EXP)
+    }),
+    ee.Algorithms.If(
+      bands.contains(BANDS.MSLP),
+      img.select([BANDS.MSLP]).multiply(stdRatio),
+      stdRatio.multiply(C.SEA_LEVEL_PRESSURE)
+    )
+  ));
+
+  return img.expression('p / (R * t)', {
+    'p': pressure, 't': temperature, 'R': ee.Image.constant(C.GAS_CONSTANT)
+  }).rename('air_density');
+};
+
+/**
+ * Wind Power Density (W/m²): P/A = 0.5 * rho * v^3.
+ */
+exports.powerDensity = function(speed, rho) {
+  return ee.Image(speed).expression('0.5 * rho * s**3', {
+    's': ee.Image(speed), 'rho': ee.Image(rho)
+  }).rename('wind_power_density');
+};
+
+/**
+ * Turbine output (kW) read off a tabulated power curve, per pixel.
+ * Curves are certified at 1.225 kg/m³, so the speed is density-normalised first
+ * (IEC 61400-12: v_n = v * (rho / 1.225)^(1/3)). 'clamp' holds rated output
+ * between the last table point and cut-out.
+ */
+exports.turbinePower = function(speed, rho, turbine) {
+  speed = ee.Image(speed);
+  var normSpeed = speed.multiply(ee.Image(rho).divide(C.AIR_DENSITY).pow(1 / 3));
+  return normSpeed.interpolate(turbine.curve.speed, turbine.curve.kw, 'clamp')
+    .where(normSpeed.lt(turbine.cutIn).or(speed.gte(turbine.cutOut)), 0)
+    .rename('generation_kw');
+};
+
+/**
+ * Weibull shape (k) and scale (c, m/s) per pixel from mean and std. dev. images,
+ * by the method of moments (see windmath.fitWeibull()).
+ */
+var weibullFromMoments = function(mean, sd) {
+  var W = windmath.WEIBULL;
+  mean = ee.Image(mean);
+  var k = ee.Image(sd).divide(mean).pow(W.K_EXPONENT).clamp(W.MIN_K, W.MAX_K);
+  var c = mean.divide(ee.Image(1).add(ee.Image(1).divide(k)).gamma());
+  return k.rename('weibull_k').addBands(c.rename('weibull_c'));
+};
+exports.weibullFromMoments = weibullFromMoments;
+
+/**
+ * Weibull k / c per pixel from a collection of single-band speed frames
+ * (temporal mean and std. dev.).
+ */
+exports.weibull = function(speedCol) {
+  var stats = ee.ImageCollection(speedCol)
+      .reduce(ee.Reducer.mean().combine(ee.Reducer.stdDev(), '', true));
+  return weibullFromMoments(stats.select(0), stats.select(1));
+};
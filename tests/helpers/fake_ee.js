@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Lightweight local stand-in for the Earth Engine `ee` API.
+ * An image is a single pixel: a {bandName: number} map. Only the calls used by
+ * modules/windphysics.js are implemented. NaN plays the role of a masked pixel.
+ */
+
+var toJsExpression = function(expr) {
+  // '**' is already valid JS; only the EE math functions need a namespace.
+  return expr.replace(/\b(sqrt|log|exp|abs|sin|cos|atan2)\(/g, 'Math.$1(');
+};
+
+function FakeImage(bands) {
+  this.bands = bands;
+}
+
+FakeImage.prototype.names = function() {
+  return Object.keys(this.bands);
+};
+
+FakeImage.prototype.value = function() {
+  return this.bands[this.names()[0]];
+};
+
+// Applies fn per band against the first band of `other` (image or number).
+FakeImage.prototype.map2 = function(other, fn) {
+  var rhs = other instanceof FakeImage ? other.value() : other;
+  var out = {};
+  var self = this;
+  this.names().forEach(function(name) {
+    var lhs = self.bands[name];
+    out[name] = (isNaN(lhs) || isNaN(rhs)) ? NaN : fn(lhs, rhs);
+  });
+  return new FakeImage(out);
+};
+
+FakeImage.prototype.add = function(o) { return this.map2(o, function(a, b) { return a + b; }); };
+FakeImage.prototype.subtract = function(o) { return this.map2(o, function(a, b) { return a - b; }); };
+FakeImage.prototype.multiply = function(o) { return this.map2(o, function(a, b) { return a * b; }); };
+FakeImage.prototype.divide = function(o) { return this.map2(o, function(a, b) { return b === 0 ? NaN : a / b; }); };
+FakeImage.prototype.pow = function(o) { return this.map2(o, Math.pow); };
+FakeImage.prototype.gt = function(o) { return this.map2(o, function(a, b) { return a > b ? 1 : 0; }); };
+FakeImage.prototype.gte = function(o) { return this.map2(o, function(a, b) { return a >= b ? 1 : 0; }); };
+FakeImage.prototype.lt = function(o) { return this.map2(o, function(a, b) { return a < b ? 1 : 0; }); };
+FakeImage.prototype.lte = function(o) { return this.map2(o, function(a, b) { return a <= b ? 1 : 0; }); };
+FakeImage.prototype.and = function(o) { return this.map2(o, function(a, b) { return a && b ? 1 : 0; }); };
+FakeImage.prototype.or = function(o) { return this.map2(o, function(a, b) { return a || b ? 1 : 0; }); };
+
+FakeImage.prototype.clamp = function(low, high) {
+  return this.map2(0, function(a) { return Math.min(high, Math.max(low, a)); });
+};
+
+// Stand-in for EE's built-in gamma(): Lanczos approximation (g = 7)
+var LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+               771.32342877765313, -176.61502916214059, 12.507343278686905,
+               -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+var gammaFn = function(x) {
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gammaFn(1 - x));
+  x -= 1;
+  var a = LANCZOS[0];
+  var t = x + 7.5;
+  for (var i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+};
+
+FakeImage.prototype.gamma = function() {
+  return this.map2(0, gammaFn);
+};
+
+FakeImage.prototype.addBands = function(other) {
+  var out = {};
+  var self = this;
+  this.names().forEach(function(name) { out[name] = self.bands[name]; });
+  other.names().forEach(function(name) { out[name] = other.bands[name]; });
+  return new FakeImage(out);
+};
+
+FakeImage.prototype.unmask = function(fill) {
+  var out = {};
+  var self = this;
+  this.names().forEach(function(name) {
+    out[name] = isNaN(self.bands[name]) ? fill : self.bands[name];
+  });
+  return new FakeImage(out);
+};
+
+FakeImage.prototype.where = function(test, value) {
+  var t = test instanceof FakeImage ? test.value() : test;
+  var v = value instanceof FakeImage ? value.value() : value;
+  if (isNaN(t) || !t) return this;
+  var out = {};
+  this.names().forEach(function(name) { out[name] = v; });
+  return new FakeImage(out);
+};
+
+FakeImage.prototype.rename = function(name) {
+  return new FakeImage(makeBands(name, this.value()));
+};
+
+// A missing band yields a masked pixel instead of throwing: EE builds both
+// ee.Algorithms.If branches client-side and only fails when one is computed.
+FakeImage.prototype.select = function(names) {
+  var name = Array.isArray(names) ? names[0] : names;
+  return new FakeImage(makeBands(name, name in this.bands ? this.bands[name] : NaN));
+};
+
+FakeImage.prototype.bandNames = function() {
+  var names = this.names();
+  return {contains: function(name) { return names.indexOf(name) >= 0; }};
+};
+
+FakeImage.prototype.expression = function(expr, map) {
+  var keys = Object.keys(map || {});
+  var values = keys.map(function(k) {
+    return map[k] instanceof FakeImage ? map[k].value() : map[k];
+  });
+  var result = new Function(keys.join(','), 'return ' + toJsExpression(expr) + ';').apply(null, values);
+  return new FakeImage({constant: result});
+};
+
+FakeImage.prototype.interpolate = function(xs, ys, behavior) {
+  var x = this.value();
+  var y;
+  if (x <= xs[0]) {
+    y = ys[0];
+  } else if (x >= xs[xs.length - 1]) {
+    y = ys[ys.length - 1];
+  } else {
+    for (var i = 1; i < xs.length; i++) {
+      if (x <= xs[i]) {
+        y = ys[i - 1] + (x - xs[i - 1]) / (xs[i] - xs[i - 1]) * (ys[i] - ys[i - 1]);
+        break;
+      }
+    }
+  }
+  return new FakeImage({constant: y});
+};
+
+var makeBands = function(name, value) {
+  var bands = {};
+  bands[name] = value;
+  return bands;
+};
+
+/**
+ * ee.Image(x): wraps numbers as constants and passes images through.
+ */
+var Image = function(x) {
+  if (x instanceof FakeImage) return x;
+  if (typeof x === 'number') return new FakeImage({constant: x});
+  if (x && typeof x === 'object') return new FakeImage(x);
+  throw new Error('Unsupported ee.Image argument: ' + x);
+};
+Image.constant = function(x) { return new FakeImage({constant: x}); };
+
+module.exports = {
+  Image: Image,
+  Algorithms: {
+    If: function(condition, a, b) { return condition ? a : b; }
+  },
+  /** Value of the single pixel, for assertions. */
+  valueOf: function(img) { return img.value(); },
+  /** First band name, for assertions. */
+  bandOf: function(img) { return img.names()[0]; },
+  /** Value of a named band, for assertions. */
+  bandValue: function(img, name) { return img.bands[name]; }
+};
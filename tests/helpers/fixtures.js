@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Assertion helper and turbine fixture shared by the test files.
+ */
+
+var assert = require('node:assert');
+
+/** Asserts |actual - expected| <= tol. */
+var near = function(actual, expected, tol, msg) {
+  assert.ok(Math.abs(actual - expected) <= tol,
+      (msg || '') + ' expected ' + expected + ' ± ' + tol + ', got ' + actual);
+};
+
+/** Small power curve: 3 m/s cut-in, 25 m/s cut-out, 3 MW rated from 12 m/s. */
+var TURBINE = {
+  cutIn: 3, cutOut: 25,
+  curve: {speed: [3, 6, 9, 12], kw: [0, 500, 2000, 3000]}
+};
+
+module.exports = {
+  near: near,
+  TURBINE: TURBINE
+};
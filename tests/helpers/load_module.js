@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Loads an Earth Engine Code Editor module under Node.
+ * The source is evaluated with its own `exports`, a `require` that resolves
+ * 'users/<owner>/<repo>:<path>' to <path>.js in this repository, and the
+ * given `ee` (tests/helpers/fake_ee.js). Run the suite with: npm test
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var REPO_ROOT = path.join(__dirname, '..', '..');
+
+var loadModule = function(modulePath, ee) {
+  var relative = modulePath.indexOf(':') >= 0 ? modulePath.split(':')[1] : modulePath;
+  var source = fs.readFileSync(path.join(REPO_ROOT, relative + '.js'), 'utf8');
+  var moduleExports = {};
+  var eeRequire = function(p) { return loadModule(p, ee); };
+  new Function('exports', 'require', 'ee', source)(moduleExports, eeRequire, ee);
+  return moduleExports;
+};
+
+module.exports = loadModule;
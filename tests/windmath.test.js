@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Unit tests for modules/windmath.js (pure numbers).
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadModule = require('./helpers/load_module');
+var fakeEe = require('./helpers/fake_ee');
+var fixtures = require('./helpers/fixtures');
+
+var windmath = loadModule('modules/windmath', fakeEe);
+var C = windmath.CONSTANTS;
+var near = fixtures.near;
+var TURBINE = fixtures.TURBINE;
+
+test('windSpeed is the u/v magnitude', function() {
+  assert.strictEqual(windmath.windSpeed(3, 4), 5);
+  assert.strictEqual(windmath.windSpeed(0, 0), 0);
+});
+
+test('windDirection reports where the wind blows from', function() {
+  near(windmath.windDirection(0, -5), 0, 1e-9, 'northerly');
+  near(windmath.windDirection(-5, 0), 90, 1e-9, 'easterly');
+  near(windmath.windDirection(0, 5), 180, 1e-9, 'southerly');
+  near(windmath.windDirection(5, 0), 270, 1e-9, 'westerly');
+});
+
+test('hubSpeed returns the 100m speed at 100m', function() {
+  assert.strictEqual(windmath.hubSpeed(6, 8, 100), 8);
+});
+
+test('hubSpeed power law uses the per-pixel exponent', function() {
+  var v10 = 5, v100 = 7;
+  var alpha = Math.log(v100 / v10) / Math.log(10);
+  near(windmath.hubSpeed(v10, v100, 150), v100 * Math.pow(1.5, alpha), 1e-12);
+});
+
+test('hubSpeed falls back to the fixed exponent for unusable profiles', function() {
+  var fallback = 8 * Math.pow(1.2, 1 / 7);
+  near(windmath.hubSpeed(9, 8, 120), fallback, 1e-12, 'inverted');
+  near(windmath.hubSpeed(0.2, 8, 120), fallback, 1e-12, 'calm surface');
+  near(windmath.hubSpeed(1, 8, 120), fallback, 1e-12, 'alpha > MAX_ALPHA');
+  near(windmath.hubSpeed(9, 8, 120, {FALLBACK_ALPHA: 0.2}), 8 * Math.pow(1.2, 0.2), 1e-12, 'override');
+});
+
+test('hubSpeed log law reproduces both levels', function() {
+  var shear = {METHOD: 'log'};
+  near(windmath.hubSpeed(6, 8, 10, shear), 6, 1e-9, '10m');
+  assert.ok(windmath.hubSpeed(6, 8, 150, shear) > 8);
+});
+
+test('standard atmosphere gives 1.225 kg/m³ at sea level', function() {
+  var std = windmath.standardAtmosphere(0);
+  near(windmath.airDensity(std.pressure, std.temperature), C.AIR_DENSITY, 1e-3);
+  var high = windmath.standardAtmosphere(2000);
+  near(high.pressure, 79495, 50, '2000m pressure');
+});
+
+test('hubAirDensity uses fields when present and the standard atmosphere otherwise', function() {
+  var fallback = windmath.hubAirDensity(100, 500, {});
+  var std = windmath.standardAtmosphere(600);
+  near(fallback, windmath.airDensity(std.pressure, std.temperature), 1e-12, 'no fields');
+
+  var cold = windmath.hubAirDensity(100, 0, {t2m: 263.15, surfacePressure: 101325});
+  var warm = windmath.hubAirDensity(100, 0, {t2m: 303.15, surfacePressure: 101325});
+  assert.ok(cold > warm, 'cold air is denser');
+
+  var atTwoMetres = windmath.hubAirDensity(2, 0, {t2m: 288.15, surfacePressure: 97000});
+  near(atTwoMetres, windmath.airDensity(97000, 288.15), 1e-12, 'surface pressure unchanged at 2m');
+
+  var mslp = windmath.hubAirDensity(100, 0, {t2m: 288.15, mslp: 101325});
+  assert.ok(mslp < C.AIR_DENSITY && mslp > 1.1);
+});
+
+test('powerDensity is 0.5 * rho * v^3', function() {
+  near(windmath.powerDensity(1.225, 10), 612.5, 1e-9);
+});
+
+test('interpCurve interpolates and clamps', function() {
+  assert.strictEqual(windmath.interpCurve([0, 10], [0, 100], -1), 0);
+  assert.strictEqual(windmath.interpCurve([0, 10], [0, 100], 5), 50);
+  assert.strictEqual(windmath.interpCurve([0, 10], [0, 100], 20), 100);
+});
+
+test('turbinePowerKW honours cut-in, cut-out and density', function() {
+  assert.strictEqual(windmath.turbinePowerKW(TURBINE, 2, C.AIR_DENSITY), 0);
+  assert.strictEqual(windmath.turbinePowerKW(TURBINE, 25, C.AIR_DENSITY), 0);
+  assert.strictEqual(windmath.turbinePowerKW(TURBINE, 15, C.AIR_DENSITY), 3000);
+  near(windmath.turbinePowerKW(TURBINE, 7.5, C.AIR_DENSITY), 1250, 1e-9);
+  assert.ok(windmath.turbinePowerKW(TURBINE, 7.5, 1.0) < 1250, 'thin air produces less');
+});
+
+test('gamma matches known values', function() {
+  near(windmath.gamma(5), 24, 1e-9);
+  near(windmath.gamma(1.5), Math.sqrt(Math.PI) / 2, 1e-12);
+  near(windmath.gamma(0.5), Math.sqrt(Math.PI), 1e-12);
+});
+
+test('fitWeibull recovers k and c by the method of moments', function() {
+  var speeds = [4, 6, 8, 10, 12];
+  var fit = windmath.fitWeibull(speeds);
+  var sd = Math.sqrt(10);
+  near(fit.mean, 8, 1e-12, 'mean');
+  near(fit.sd, sd, 1e-12, 'sample sd');
+  near(fit.k, Math.pow(sd / 8, -1.086), 1e-12, 'k');
+  near(fit.c, 8 / windmath.gamma(1 + 1 / fit.k), 1e-12, 'c');
+});
+
+test('fitWeibull clamps k and rejects degenerate samples', function() {
+  assert.strictEqual(windmath.fitWeibull([5]), null, 'one sample');
+  assert.strictEqual(windmath.fitWeibull([5, 5, 5]), null, 'no spread');
+  assert.strictEqual(windmath.fitWeibull([10, 10.01]).k, windmath.WEIBULL.MAX_K, 'steady wind');
+  assert.strictEqual(windmath.weibullShape(1, 5), windmath.WEIBULL.MIN_K, 'gusty wind');
+});
+
+test('weibullPdf integrates to one', function() {
+  var fit = {k: 2, c: 8};
+  var total = 0;
+  for (var v = 0.005; v < 60; v += 0.01) total += windmath.weibullPdf(fit, v) * 0.01;
+  near(total, 1, 1e-4);
+  assert.strictEqual(windmath.weibullPdf(fit, 0), 0);
+});
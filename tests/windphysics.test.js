@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Unit tests for modules/windphysics.js against the fake `ee`.
+ * Each ee formula is checked against its windmath number twin.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadModule = require('./helpers/load_module');
+var ee = require('./helpers/fake_ee');
+var fixtures = require('./helpers/fixtures');
+
+var windphysics = loadModule('modules/windphysics', ee);
+var windmath = windphysics.math;
+var near = fixtures.near;
+var TURBINE = fixtures.TURBINE;
+
+var frame = function(extra) {
+  var bands = {
+    '10m_u_component_of_wind': 3, '10m_v_component_of_wind': 4,  // 5 m/s
+    '100m_u_component_of_wind': 6, '100m_v_component_of_wind': 8 // 10 m/s
+  };
+  Object.keys(extra || {}).forEach(function(k) { bands[k] = extra[k]; });
+  return ee.Image(bands);
+};
+
+test('windSpeed reads the requested level', function() {
+  assert.strictEqual(ee.valueOf(windphysics.windSpeed(frame(), '10m')), 5);
+  assert.strictEqual(ee.valueOf(windphysics.windSpeed(frame(), '100m')), 10);
+});
+
+test('hubSpeed matches windmath for both shear methods', function() {
+  [80, 100, 120, 150].forEach(function(hub) {
+    ['power', 'log'].forEach(function(method) {
+      var shear = {METHOD: method};
+      near(ee.valueOf(windphysics.hubSpeed(frame(), hub, shear)),
+           windmath.hubSpeed(5, 10, hub, shear), 1e-9, method + ' @' + hub + 'm');
+    });
+  });
+  assert.strictEqual(ee.bandOf(windphysics.hubSpeed(frame(), 120)), 'hub_speed');
+});
+
+test('hubSpeed falls back on an inverted profile', function() {
+  var inverted = frame({'10m_u_component_of_wind': 12, '10m_v_component_of_wind': 0});
+  near(ee.valueOf(windphysics.hubSpeed(inverted, 150)), 10 * Math.pow(1.5, 1 / 7), 1e-9);
+});
+
+test('airDensity matches windmath with and without weather bands', function() {
+  var elevation = ee.Image(350);
+  var cases = [
+    {bands: {}, fields: {}},
+    {bands: {'2m_temperature': 280}, fields: {t2m: 280}},
+    {bands: {'2m_temperature': 280, 'mean_sea_level_pressure': 99000},
+     fields: {t2m: 280, mslp: 99000}},
+    {bands: {'2m_temperature': 280, 'surface_pressure': 97000},
+     fields: {t2m: 280, surfacePressure: 97000}}
+  ];
+  cases.forEach(function(c) {
+    near(ee.valueOf(windphysics.airDensity(frame(c.bands), 120, elevation)),
+         windmath.hubAirDensity(120, 350, c.fields), 1e-9, JSON.stringify(c.fields));
+  });
+});
+
+test('powerDensity is 0.5 * rho * v^3', function() {
+  var wpd = windphysics.powerDensity(ee.Image(10), ee.Image(1.225));
+  near(ee.valueOf(wpd), windmath.powerDensity(1.225, 10), 1e-9);
+  assert.strictEqual(ee.bandOf(wpd), 'wind_power_density');
+});
+
+test('turbinePower matches turbinePowerKW across the curve', function() {
+  [0, 2.9, 3, 5, 7.5, 11, 14, 24.9, 25, 30].forEach(function(speed) {
+    [1.0, 1.225, 1.3].forEach(function(rho) {
+      near(ee.valueOf(windphysics.turbinePower(ee.Image(speed), ee.Image(rho), TURBINE)),
+           windmath.turbinePowerKW(TURBINE, speed, rho), 1e-9, speed + ' m/s, rho ' + rho);
+    });
+  });
+});
+
+test('weibullFromMoments matches the windmath fit', function() {
+  [[8, 3], [6, 4], [10, 0.5], [4, 6]].forEach(function(m) {
+    var img = windphysics.weibullFromMoments(ee.Image(m[0]), ee.Image(m[1]));
+    var k = windmath.weibullShape(m[0], m[1]);
+    near(ee.bandValue(img, 'weibull_k'), k, 1e-9, 'k for ' + m);
+    near(ee.bandValue(img, 'weibull_c'), m[0] / windmath.gamma(1 + 1 / k), 1e-9, 'c for ' + m);
+  });
+});
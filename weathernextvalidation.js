@@ -0,0 +1,288 @@
+/** Experimental code for Google Earth Engine
+ * @fileoverview WEATHERNEXT 2 vs ERA5 VALIDATION
+ * * Compares WeatherNext 2 forecasts with ERA5 hourly reanalysis at the same valid times:
+ * * 100m / 10m wind speed and 6-hour precipitation, per pixel and per lead time (forecast_hour).
+ * * Metrics: mean bias, RMSE, Pearson correlation, and the ratio of mean cubed 100m speeds
+ * * (how far a power density estimate would be off).
+ * * Output: skill maps per lead, a regional skill-vs-lead chart, and a trust map for the
+ * * lead time the other scripts use (forecast_hour 6).
+ License: MIT
+ */
+
+// Shared speed / shear / density / power formulas (modules/windphysics.js)
+var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+
+// =========================================
+// 1. CONFIGURATION & CONSTANTS
+// =========================================
+
+var REGION = ee.Geometry.Rectangle([-25.0, -40.0, 60.0, 40.0]); // Africa, as in AfricaWeatherDynamics.js
+// ERA5 lags real time by ~5 days, so keep the window in the past
+var DATE_RANGE = { start: '2025-01-01', end: '2025-03-01' };
+
+var ENSEMBLE_MEMBER = '8';              // Reference member used by the simulator
+var LEAD_HOURS = [6, 24, 72, 120, 240]; // forecast_hour values to score
+var TRUST_LEAD_HOUR = 6;                // Lead the power scripts are built from
+var SUMMARY_SCALE_M = 50000;            // Regional skill-vs-lead averages
+
+// Trust classes for the 100m wind (power estimates scale with v^3)
+var TRUST = {
+  MAX_ABS_BIAS_MS: 1.0,
+  MAX_RMSE_MS: 2.5,
+  MIN_CORR: 0.8,
+  MAX_POWER_ERROR: 0.2,  // |mean(v_f^3) / mean(v_o^3) - 1|
+  CAUTION_MIN_CORR: 0.6,
+  PALETTE: ['d73027', 'fee08b', '1a9850'] // 0 = not trusted, 1 = caution, 2 = trusted
+};
+
+// Visualization Parameters
+var VIS_BIAS = {min: -3, max: 3, palette: ['2166ac', '67a9cf', 'f7f7f7', 'ef8a62', 'b2182b']};
+var VIS_RMSE = {min: 0, max: 5, palette: ['ffffcc', 'fd8d3c', '800026']};
+var VIS_CORR = {min: 0, max: 1, palette: ['d73027', 'fee08b', '1a9850']};
+
+// =========================================
+// 2. DATA
+// =========================================
+
+var forecasts = ee.ImageCollection('projects/gcp-public-data-weathernext/assets/weathernext_2_0_0')
+    .filterDate(DATE_RANGE.start, DATE_RANGE.end)
+    .filter(ee.Filter.eq('ensemble_member', ENSEMBLE_MEMBER))
+    .filter(ee.Filter.inList('forecast_hour', LEAD_HOURS));
+
+// Covers the longest lead past the end of the window
+var era5 = ee.ImageCollection('ECMWF/ERA5/HOURLY')
+    .filterDate(ee.Date(DATE_RANGE.start).advance(-6, 'hour'),
+                ee.Date(DATE_RANGE.end).advance(Math.max.apply(null, LEAD_HOURS) + 1, 'hour'))
+    .select(['u_component_of_wind_100m', 'v_component_of_wind_100m',
+             'u_component_of_wind_10m', 'v_component_of_wind_10m', 'total_precipitation']);
+
+// =========================================
+// 3. PAIRING (same valid time)
+// =========================================
+
+// Valid time = start_time + forecast_hour (explicit, independent of system:time_start)
+var withValidTime = forecasts.map(function(img) {
+  var validTime = ee.Date(img.get('start_time')).advance(ee.Number(img.get('forecast_hour')), 'hour');
+  return img.set('valid_time', validTime.millis());
+});
+
+// Inner join: frames without an ERA5 hour (archive lag) are dropped here
+var matched = ee.Join.saveFirst('era5_frame').apply(withValidTime, era5, ee.Filter.equals({
+  leftField: 'valid_time',
+  rightField: 'system:time_start'
+}));
+
+/**
+ * Pairs one matched forecast frame with its ERA5 hour.
+ * ERA5 precipitation is hourly, so the six hours ending at the valid time are summed.
+ * Returns bands f_/o_ (forecast / observed) for ws100, ws10 and tp6 (metres).
+ */
+var pairFrame = function(img) {
+  img = ee.Image(img);
+  var validTime = ee.Date(img.get('valid_time'));
+  var obsFrame = ee.Image(img.get('era5_frame'));
+  var obsPrecip = era5.filterDate(validTime.advance(-5, 'hour'), validTime.advance(1, 'hour'))
+      .select('total_precipitation').sum();
+
+  var obsSpeed = function(level) {
+    return obsFrame.expression('sqrt(u**2 + v**2)', {
+      'u': obsFrame.select(['u_component_of_wind_' + level]),
+      'v': obsFrame.select(['v_component_of_wind_' + level])
+    });
+  };
+
+  var pair = ee.Image.cat([
+    windphysics.windSpeed(img, '100m'), obsSpeed('100m'),
+    windphysics.windSpeed(img, '10m'), obsSpeed('10m'),
+    img.select(['total_precipitation_6hr']), obsPrecip
+  ]).rename(['f_ws100', 'o_ws100', 'f_ws10', 'o_ws10', 'f_tp6', 'o_tp6']);
+
+  return pair.set({
+    'system:time_start': validTime.millis(),
+    'forecast_hour': img.get('forecast_hour')
+  });
+};
+
+// =========================================
+// 4. SKILL METRICS
+// =========================================
+
+/**
+ * Per-pixel bias, RMSE and correlation of one forecast/observed band pair.
+ */
+var calcSkill = function(pairs, name) {
+  var diff = pairs.map(function(p) {
+    return p.select('f_' + name).subtract(p.select('o_' + name));
+  });
+  var bias = diff.mean().rename(name + '_bias');
+  var rmse = diff.map(function(d) { return d.pow(2); }).mean().sqrt().rename(name + '_rmse');
+  var corr = pairs.select(['f_' + name, 'o_' + name])
+      .reduce(ee.Reducer.pearsonsCorrelation()).select('correlation').rename(name + '_corr');
+  return bias.addBands(rmse).addBands(corr);
+};
+
+/**
+ * All metrics for one lead time. Band names get a '_fhXXX' suffix.
+ */
+var skillForLead = function(lead) {
+  var pairs = ee.ImageCollection(matched)
+      .filter(ee.Filter.eq('forecast_hour', lead))
+      .map(pairFrame);
+
+  // Power density scales with v^3: ratio of mean cubed 100m speeds
+  var cubes = pairs.map(function(p) { return p.select(['f_ws100', 'o_ws100']).pow(3); }).mean();
+  var powerRatio = cubes.select('f_ws100').divide(cubes.select('o_ws100')).rename('power_ratio');
+
+  var skill = calcSkill(pairs, 'ws100')
+      .addBands(calcSkill(pairs, 'ws10'))
+      .addBands(calcSkill(pairs, 'tp6'))
+      .addBands(powerRatio);
+  var suffix = '_fh' + ('00' + lead).slice(-3);
+  return skill.rename(skill.bandNames().map(function(b) { return ee.String(b).cat(suffix); }));
+};
+
+var skillByLead = LEAD_HOURS.map(skillForLead);
+var skillStack = ee.Image.cat(skillByLead);
+
+// =========================================
+// 5. TRUST MAP
+// =========================================
+
+// Reuse the scored lead; the band suffix below relies on it being one of LEAD_HOURS
+var trustIndex = LEAD_HOURS.indexOf(TRUST_LEAD_HOUR);
+if (trustIndex < 0) {
+  throw new Error('TRUST_LEAD_HOUR (' + TRUST_LEAD_HOUR + ') must be one of LEAD_HOURS [' + LEAD_HOURS + ']');
+}
+var trustSkill = skillByLead[trustIndex];
+var trustSuffix = '_fh' + ('00' + TRUST_LEAD_HOUR).slice(-3);
+var ws100Bias = trustSkill.select('ws100_bias' + trustSuffix);
+var ws100Rmse = trustSkill.select('ws100_rmse' + trustSuffix);
+var ws100Corr = trustSkill.select('ws100_corr' + trustSuffix);
+var powerError = trustSkill.select('power_ratio' + trustSuffix).subtract(1).abs();
+
+// 2 = trusted, 1 = caution, 0 = not trusted
+var trusted = ws100Bias.abs().lte(TRUST.MAX_ABS_BIAS_MS)
+    .and(ws100Rmse.lte(TRUST.MAX_RMSE_MS))
+    .and(ws100Corr.gte(TRUST.MIN_CORR))
+    .and(powerError.lte(TRUST.MAX_POWER_ERROR));
+var trustMap = ee.Image(0)
+    .where(ws100Corr.gte(TRUST.CAUTION_MIN_CORR), 1)
+    .where(trusted, 2)
+    .updateMask(ws100Corr.mask())
+    .rename('trust_class')
+    .clip(REGION);
+
+// =========================================
+// 6. REGIONAL SKILL vs LEAD TIME
+// =========================================
+
+var leadSummary = ee.FeatureCollection(LEAD_HOURS.map(function(lead, i) {
+  var suffix = '_fh' + ('00' + lead).slice(-3);
+  var stats = skillByLead[i].reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: REGION,
+    scale: SUMMARY_SCALE_M,
+    maxPixels: 1e10
+  });
+  return ee.Feature(null, {
+    forecast_hour: lead,
+    ws100_bias: stats.get('ws100_bias' + suffix),
+    ws100_rmse: stats.get('ws100_rmse' + suffix),
+    ws100_corr: stats.get('ws100_corr' + suffix),
+    ws10_rmse: stats.get('ws10_rmse' + suffix),
+    power_ratio: stats.get('power_ratio' + suffix)
+  });
+}));
+
+print(ui.Chart.feature.byFeature(leadSummary, 'forecast_hour', ['ws100_bias', 'ws100_rmse', 'ws10_rmse'])
+  .setChartType('LineChart')
+  .setOptions({
+    title: 'Regional 100m / 10m Wind Error vs Lead Time (WeatherNext - ERA5)',
+    hAxis: {title: 'forecast_hour'},
+    vAxis: {title: 'm/s'},
+    pointSize: 4
+  }));
+print(ui.Chart.feature.byFeature(leadSummary, 'forecast_hour', ['ws100_corr', 'power_ratio'])
+  .setChartType('LineChart')
+  .setOptions({
+    title: 'Correlation and Power (v³) Ratio vs Lead Time',
+    hAxis: {title: 'forecast_hour'},
+    pointSize: 4
+  }));
+
+// =========================================
+// 7. EXPORT
+// =========================================
+
+Export.image.toDrive({
+  image: skillStack.toFloat().clip(REGION),
+  description: 'WeatherNext_vs_ERA5_Skill',
+  scale: 25000, // ~ native WeatherNext grid
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
+Export.image.toDrive({
+  image: trustMap.toByte(),
+  description: 'WeatherNext_Trust_Map_fh' + TRUST_LEAD_HOUR,
+  scale: 25000,
+  region: REGION,
+  maxPixels: 1e11,
+  fileFormat: 'GeoTIFF'
+});
+
+Export.table.toDrive({
+  collection: leadSummary,
+  description: 'WeatherNext_vs_ERA5_By_Lead',
+  fileFormat: 'CSV',
+  selectors: ['forecast_hour', 'ws100_bias', 'ws100_rmse', 'ws100_corr', 'ws10_rmse', 'power_ratio']
+});
+
+// =========================================
+// 8. MAP & LEGEND
+// =========================================
+
+Map.setCenter(18.0, 0.0, 3);
+LEAD_HOURS.forEach(function(lead, i) {
+  var suffix = '_fh' + ('00' + lead).slice(-3);
+  var shown = lead === TRUST_LEAD_HOUR;
+  Map.addLayer(skillByLead[i].select('ws100_bias' + suffix).clip(REGION), VIS_BIAS, '100m Bias (m/s), fh' + lead, false);
+  Map.addLayer(skillByLead[i].select('ws100_rmse' + suffix).clip(REGION), VIS_RMSE, '100m RMSE (m/s), fh' + lead, false);
+  Map.addLayer(skillByLead[i].select('ws100_corr' + suffix).clip(REGION), VIS_CORR, '100m Correlation, fh' + lead, shown);
+});
+Map.addLayer(trustMap, {min: 0, max: 2, palette: TRUST.PALETTE}, 'Trust Map (100m wind, fh' + TRUST_LEAD_HOUR + ')');
+
+var legend = ui.Panel({
+  style: {
+    position: 'bottom-left',
+    padding: '8px 15px',
+    backgroundColor: 'rgba(255, 255, 255, 0.9)'
+  }
+});
+
+legend.add(ui.Label({
+  value: 'Power Estimate Trust (fh' + TRUST_LEAD_HOUR + ' vs ERA5)',
+  style: {fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0'}
+}));
+
+var trustRow = function(color, text) {
+  return ui.Panel({
+    widgets: [
+      ui.Label('', {backgroundColor: '#' + color, padding: '8px', margin: '2px 6px 2px 0'}),
+      ui.Label(text, {fontSize: '11px', margin: '3px 0'})
+    ],
+    layout: ui.Panel.Layout.Flow('horizontal')
+  });
+};
+legend.add(trustRow(TRUST.PALETTE[2], 'Trusted: |bias| ≤ ' + TRUST.MAX_ABS_BIAS_MS + ' m/s, RMSE ≤ ' +
+    TRUST.MAX_RMSE_MS + ' m/s, r ≥ ' + TRUST.MIN_CORR + ', v³ within ' + TRUST.MAX_POWER_ERROR * 100 + '%'));
+legend.add(trustRow(TRUST.PALETTE[1], 'Caution: r ≥ ' + TRUST.CAUTION_MIN_CORR));
+legend.add(trustRow(TRUST.PALETTE[0], 'Not trusted'));
+legend.add(ui.Label({
+  value: 'Member ' + ENSEMBLE_MEMBER + ', ' + DATE_RANGE.start + ' to ' + DATE_RANGE.end +
+      '. ERA5 is itself a model; treat this as consistency, not truth.',
+  style: {fontSize: '10px', color: '#555', margin: '4px 0'}
+}));
+
+Map.add(legend);
@@ -5,19 +5,31 @@
  * * Description:
  * * A preliminary "prospecting" tool to estimate theoretical wind potential 
  * versus local building density.
- * * This simulation uses "Equivalent Households" as its unit.
- * * It treats every detected building footprint as a single residential unit.
- * * Large consumers (e.g Airports, Factories) are NOT weighted for higher consumption.
+ * * Demand is derived from building floor area (footprint × floors from height).
+ * * Buildings are split into residential / commercial / industrial classes by size
+ * * and height; residential floor area is expressed as "Equivalent Households".
  * *
  * * Key Features:
  * - Fetches real-time weather model data (WeatherNext-2).
- * - Calculates daily power generation using physics-based wind formulas.
- * - Visualizes ONLY "Powered" houses using a probabilistic lottery system.
+ * - Runs every ensemble member to report P50/P75/P90 energy yields.
+ * - Lays out multi-turbine farms (grid or manual) with Jensen wake losses.
+ * - Simulates 6-hourly dispatch with battery storage and optional diesel backup.
+ * - Estimates project economics (LCOE, NPV, IRR, payback) client-side.
+ * - Ranks preset or uploaded candidate sites in batch and exports the table.
+ * - Keeps the scenario in the app URL and exports/imports it as JSON.
+ * - Shows a 16-sector wind rose and monthly prevailing directions (CSV export).
+ * - Fits a Weibull distribution to the 6-hourly hub speeds and integrates AEP over it.
+ * - Calculates daily power generation from tabulated manufacturer power curves.
+ * - Visualizes ONLY "Powered" houses, filled nearest-first along a least-cost mini-grid.
  * - This script is just for fun don't take it too seriously 
  * * Updated: Dec 2025
  * * License: MIT 
  */
 
+// Shared speed / shear / density / power formulas (modules/windphysics.js)
+var windphysics = require('users/YOUR_USERNAME/weathernext2:modules/windphysics');
+var windmath = windphysics.math;
+
 // ============================================================================
 // 1. CONFIGURATION & CONSTANTS
 // ============================================================================
@@ -25,17 +37,150 @@
 var CONFIG = {
   // Physics & Engineering Constants
   PHYSICS: {
-    ROTOR_DIAMETER_M: 120,      // Industrial scale turbine (Swept Area determines power capture)
-    SYSTEM_EFFICIENCY: 0.40,    // 'Cp' Coefficient of Power. Betz limit is 0.59; 0.40 is realistic.
-    AIR_DENSITY: 1.225,         // 'rho' in kg/m³ (Standard sea level air density)
-    MIN_WPD_THRESHOLD: 200,     // W/m² required for viable generation
-    MAX_GENERATION_KW: 3000     // Nameplate capacity cap (3MW Turbine)
+    AIR_DENSITY: windmath.CONSTANTS.AIR_DENSITY, // 'rho' in kg/m³ (power curve reference, gas constants live in windmath)
+    MIN_WPD_THRESHOLD: 200      // W/m² required for viable generation
+  },
+
+  // Wind Shear (10m -> 100m -> Hub Height)
+  SHEAR: {
+    METHOD: 'power',            // 'power' = per-pixel shear exponent, 'log' = per-pixel roughness length
+    FALLBACK_ALPHA: 1 / 7,      // Classic 1/7 power law where the 10m/100m pair is unusable
+    MAX_ALPHA: 0.6,             // Exponents above this are treated as stable-layer artifacts
+    MAX_Z0_M: 5,                // Roughness lengths above this are not physical
+    HUB_OPTIONS: ['Model default', '80', '100', '120', '150']
+  },
+
+  // Turbine Library (Manufacturer power curves at standard air density)
+  // curve.speed (m/s) -> curve.kw (kW). Output between table points is linearly
+  // interpolated; above the last point the turbine holds its rated output until cut-out.
+  TURBINES: {
+    'Enercon E-44 (900 kW)': {
+      ratedKW: 900, rotorDiameter: 44, hubHeight: 55,
+      cutIn: 3, rated: 16, cutOut: 25,
+      curve: {
+        speed: [3, 4,  5,  6,  7,   8,   9,   10,  11,  12,  13,  14,  15,  16],
+        kw:    [4, 20, 50, 96, 156, 238, 340, 466, 600, 710, 790, 850, 880, 900]
+      }
+    },
+    'Vestas V90 (2.0 MW)': {
+      ratedKW: 2000, rotorDiameter: 90, hubHeight: 80,
+      cutIn: 4, rated: 13, cutOut: 25,
+      curve: {
+        speed: [4,  5,   6,   7,   8,   9,    10,   11,   12,   13],
+        kw:    [75, 190, 353, 581, 886, 1273, 1710, 1972, 1999, 2000]
+      }
+    },
+    'GE 2.5-120 (2.5 MW)': {
+      ratedKW: 2500, rotorDiameter: 120, hubHeight: 110,
+      cutIn: 3, rated: 11, cutOut: 25,
+      curve: {
+        speed: [3,  4,   5,   6,   7,   8,    9,    10,   11],
+        kw:    [45, 165, 340, 590, 930, 1370, 1880, 2320, 2500]
+      }
+    },
+    'Vestas V112 (3.45 MW)': {
+      ratedKW: 3450, rotorDiameter: 112, hubHeight: 94,
+      cutIn: 3, rated: 13, cutOut: 25,
+      curve: {
+        speed: [3,  4,   5,   6,   7,   8,    9,    10,   11,   12,   13],
+        kw:    [22, 134, 302, 552, 906, 1370, 1942, 2562, 3106, 3396, 3450]
+      }
+    },
+    'Siemens Gamesa SG 5.0-145 (5.0 MW)': {
+      ratedKW: 5000, rotorDiameter: 145, hubHeight: 107.5,
+      cutIn: 3, rated: 12, cutOut: 25,
+      curve: {
+        speed: [3,  4,   5,   6,   7,    8,    9,    10,   11,   12],
+        kw:    [40, 230, 520, 950, 1530, 2300, 3200, 4150, 4800, 5000]
+      }
+    }
+  },
+  DEFAULT_TURBINE: 'Vestas V112 (3.45 MW)',
+
+  // Wake Model (Jensen / Park)
+  WAKE: {
+    DECAY_K: 0.075,             // Wake expansion rate (0.075 onshore, ~0.04 offshore)
+    DEFAULT_SPACING_D: 7,       // Grid spacing in rotor diameters
+    // Generic thrust coefficient curve for pitch-regulated multi-MW rotors
+    CT_CURVE: {
+      speed: [3,    4,    5,    6,    7,    8,    9,    10,   11,   12,   13,   14,
+              15,   16,   17,   18,   19,   20,   21,   22,   23,   24,   25],
+      ct:    [0.82, 0.82, 0.80, 0.79, 0.78, 0.77, 0.75, 0.70, 0.60, 0.48, 0.38, 0.30,
+              0.24, 0.20, 0.16, 0.13, 0.11, 0.09, 0.08, 0.07, 0.06, 0.05, 0.05]
+    }
+  },
+
+  // Storage & Backup (Chronological dispatch at the WeatherNext 6-hourly timestep)
+  STORAGE: {
+    STEP_HOURS: 6,              // Native WeatherNext timestep
+    DEFAULT_RTE: 0.88,          // Round-trip efficiency (Li-ion)
+    SIZING_DURATION_H: 4,       // Power rating assumed while searching for the minimum battery (kWh / kW)
+    SIZING_MAX_DAYS: 30         // Search ceiling for the minimum battery, in days of demand
+  },
+
+  // Project Economics (slider defaults; all currency in USD)
+  ECONOMICS: {
+    CAPEX_PER_KW: 1600,         // Installed wind cost
+    OPEX_PER_KW_YR: 45,         // Fixed O&M
+    BATTERY_CAPEX_PER_KWH: 350, // Added to capex for the selected battery
+    LIFETIME_YR: 20,
+    DISCOUNT_RATE: 0.08,
+    DEGRADATION: 0.005,         // Annual output loss
+    TARIFF_PER_KWH: 0.15
+  },
+
+  // Mini-Grid Allocation
+  // Buildings are served in order of network distance from the turbine site.
+  // Network distance is a least-cost path over terrain (flat = 1 m per m, slopes cost more).
+  GRID: {
+    COST_SCALE_M: 20,           // Resolution of the cost-distance surface
+    SLOPE_PENALTY: 0.05,        // Extra cost per degree of terrain slope
+    DISTANCE_BIN_M: 100,        // Allocation resolution along the network
+    MST_CONSTANT: 0.7124,       // Beardwood-Halton-Hammersley: L ≈ c·sqrt(N·A) for a minimum spanning tree
+    HOUSEHOLD_PIXEL_M2: 100,    // One connection per 10m building pixel (matches the household count)
+    LOSS_PER_KM: 0.015,         // Distribution loss per km of demand-weighted network distance
+    MAX_LOSS: 0.30
+  },
+
+  // Wind Rose (direction = where the wind blows FROM, 16 compass sectors)
+  WIND_ROSE: {
+    SECTORS: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+              'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+    SPEED_BINS: [0, 3, 6, 9, 12, 15],  // Lower edges (m/s); the last bin is open-ended
+    COLORS: ['#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c', '#08306b'],
+    EXPORT_DESCRIPTION: 'Wind_Rose_Histogram'
+  },
+
+  // Weibull Fit (method of moments on the 6-hourly hub speeds, windmath.fitWeibull)
+  WEIBULL: {
+    HIST_BIN_MS: 1,             // Empirical histogram bin width
+    MAX_SPEED_MS: 30,           // Integration / histogram ceiling
+    INTEGRATION_STEP_MS: 0.1
+  },
+
+  // Building Demand Model
+  // Each structure's footprint comes from connected building pixels; floors = height / FLOOR_HEIGHT_M.
+  // Classes are checked in order and a building joins the first class whose footprint OR
+  // height threshold it meets (null = threshold not used). The last class is the catch-all.
+  DEMAND: {
+    PIXEL_SCALE_M: 4,             // Native Open Buildings temporal resolution
+    MAX_FOOTPRINT_PX: 1024,       // Connected-component size cap (~16,000 m² at 4m)
+    FLOOR_HEIGHT_M: 3,            // Storey height used to estimate floors
+    HOUSEHOLD_FLOOR_AREA_M2: 60,  // Residential floor area counted as one household
+    CLASSES: [
+      {name: 'Industrial', minFootprintM2: 2500, minHeightM: null, kwhPerM2Day: 0.35},
+      {name: 'Commercial', minFootprintM2: 400,  minHeightM: 15,   kwhPerM2Day: 0.50},
+      {name: 'Residential', minFootprintM2: null, minHeightM: null, kwhPerM2Day: null} // Uses Home Load slider
+    ]
   },
 
   // Geospatial Data Filters
   DATA: {
     BUILDING_COLLECTION: 'GOOGLE/Research/open-buildings-temporal/v1',
     WEATHER_COLLECTION: 'projects/gcp-public-data-weathernext/assets/weathernext_2_0_0',
+    ELEVATION: 'CGIAR/SRTM90_V4', // Barometric fallback when pressure bands are missing
+    REFERENCE_MEMBER: '8',      // Ensemble member used for chronological (6-hourly) analyses
+    SEARCH_RADIUS_M: 5000,      // Default building search radius around the site
     CONFIDENCE_THRESHOLD: 0.7,  // Minimum confidence for building detection
     MIN_HEIGHT_M: 1.5           // Ignore tiny structures
   },
@@ -51,6 +196,18 @@ var CONFIG = {
     PANEL_WIDTH: '450px'
   },
 
+  // Batch Site Ranking
+  // Candidate assets may be a FeatureCollection of points or an uploaded CSV table.
+  // CSVs without geometry are located from LON_FIELD / LAT_FIELD.
+  BATCH: {
+    NAME_FIELD: 'name',
+    LON_FIELD: 'longitude',
+    LAT_FIELD: 'latitude',
+    EXPORT_DESCRIPTION: 'Wind_Site_Ranking',
+    EXPORT_COLUMNS: ['rank', 'name', 'longitude', 'latitude', 'Mean_WPD',
+                     'Capacity_Factor', 'Annual_MWh', 'Buildings']
+  },
+
   // Preset Locations for the Dropdown
   LOCATIONS: {
     'Mogadishu, Somalia': [45.3409, 2.0306],
@@ -71,12 +228,23 @@ var CONFIG = {
  */
 var APP_STATE = {
   wpd: 0,               // Mean Wind Power Density (W/m²)
-  kwhPerTurbine: 0,     // Average Daily kWh output per turbine
+  airDensity: 0,        // Mean applied air density at hub height (kg/m³)
+  kwhPerTurbine: 0,     // Average Daily kWh output per turbine (ensemble mean)
+  annualKWh: null,      // Per-turbine annual energy exceedance levels {p50, p75, p90}
   buildings: 0,         // Total count of valid buildings in radius
+  demandClasses: [],    // Per class floor area in radius [{name, footprintM2, floorM2}]
   hasData: false,       // Flag to prevent rendering empty states
+  loading: false,       // Site analysis in flight (cleared on success and on error)
   timeSeriesData: null, // FeatureCollection of daily wind stats (for charting)
   buildingRaster: null, // Pre-computed binary image of buildings (1=building)
-  centerPoint: null     // ee.Geometry.Point of the click
+  networkDistance: null,// Least-cost network distance (m) from the site, per pixel
+  distanceBins: [],     // Demand per network-distance bin [{edgeM, resFloorM2, nonResKWh, footprintM2, areaM2}]
+  centerPoint: null,    // ee.Geometry.Point of the click
+  coords: null,         // Raw {lon, lat} of the click (used to re-run the analysis)
+  turbineName: null,    // Turbine model the current results were computed with
+  hubHeight: 100,       // Hub height (m) the wind was extrapolated to
+  steps: [],            // 6-hourly site series [{t, speed, rho, u, v}] (reference member)
+  manualTurbines: []    // Extra turbine positions placed by clicking [{lon, lat}]
 };
 
 print('System Initialized: UI rendering...');
@@ -86,9 +254,9 @@ print('System Initialized: UI rendering...');
 // ============================================================================
 
 // WeatherNext Collection Filter
-// We filter for a specific ensemble member and forecast hour to get a consistent time series.
+// We filter for a single forecast hour to get a consistent time series.
+// All ensemble members are kept so yield uncertainty can be reported.
 var rawCollection = ee.ImageCollection(CONFIG.DATA.WEATHER_COLLECTION)
-    .filter(ee.Filter.eq('ensemble_member', '8'))
     .filter(ee.Filter.eq('forecast_hour', 6));
 
 // Fail-Safe Date Retrieval
@@ -104,9 +272,584 @@ var endDate = ee.Date(safeDate);
 var startDate = endDate.advance(-1, 'year');
 var weatherSeries = rawCollection.filterDate(startDate, endDate);
 
+// Ensemble member IDs, read from the last day of the series
+var ensembleMembers = rawCollection
+    .filterDate(endDate.advance(-1, 'day'), endDate)
+    .aggregate_array('ensemble_member')
+    .distinct();
+
+// Terrain height (m), zero over oceans and outside SRTM coverage
+var elevation = ee.Image(CONFIG.DATA.ELEVATION).unmask(0);
+
+/**
+ * Wind speed (m/s) at hub height with the CONFIG.SHEAR profile, see windphysics.hubSpeed().
+ */
+var calcHubSpeed = function(img, hubHeight) {
+  return windphysics.hubSpeed(img, hubHeight, CONFIG.SHEAR);
+};
+
+/**
+ * Air density (kg/m³) at hub height over SRTM terrain, see windphysics.airDensity().
+ */
+var calcAirDensity = function(img, hubHeight) {
+  return windphysics.airDensity(img, hubHeight, elevation).rename('Air_Density');
+};
+
+/**
+ * Converts one WeatherNext frame into Wind Power Density and turbine output.
+ * Output is read off the model's tabulated power curve, interpolated per pixel,
+ * and forced to zero below cut-in and at/above cut-out.
+ */
+var calcTurbineFrame = function(img, turbine, hubHeight) {
+  // 1. Calculate Wind Speed & Air Density at Hub Height
+  var speed = calcHubSpeed(img, hubHeight);
+  var rho = calcAirDensity(img, hubHeight);
+  
+  // 2. Calculate Wind Power Density (WPD)
+  // Formula: P/A = 0.5 * rho * v^3
+  var wpd = windphysics.powerDensity(speed, rho).rename('WPD');
+  
+  // 3. Read Turbine Output off the (density-normalised) Power Curve
+  var generationKW = windphysics.turbinePower(speed, rho, turbine).rename('Generation_KW');
+
+  return ee.Image(wpd.addBands(generationKW).addBands(rho).addBands(speed.rename('Hub_Speed'))
+    .copyProperties(img, ['system:time_start', 'ensemble_member']));
+};
+
+/**
+ * Latest Open Buildings 2.5D mosaic for a region plus the valid-building mask
+ * (high confidence + minimum height).
+ * @return {{raster: ee.Image, mask: ee.Image}}
+ */
+var getBuildingLayers = function(region) {
+  var buildingColl = ee.ImageCollection(CONFIG.DATA.BUILDING_COLLECTION);
+  var latestRaster = buildingColl.sort('system:time_start', false).mosaic().clip(region);
+  
+  // Mask logic: High confidence + Minimum Height
+  var mask = latestRaster.select('building_presence').gte(CONFIG.DATA.CONFIDENCE_THRESHOLD)
+            .and(latestRaster.select('building_height').gte(CONFIG.DATA.MIN_HEIGHT_M));
+  
+  return {raster: latestRaster, mask: mask};
+};
+
+/**
+ * Builds the per-pixel demand inputs from Open Buildings 2.5D.
+ * Returns bands: footprint_m2, floor_m2 and demand_class (index into CONFIG.DEMAND.CLASSES).
+ * @param {ee.Image} raster Building mosaic with building_presence / building_height.
+ * @param {ee.Image} mask Valid building pixels.
+ */
+var calcDemandImage = function(raster, mask) {
+  var D = CONFIG.DEMAND;
+  var proj = ee.Projection('EPSG:3857').atScale(D.PIXEL_SCALE_M);
+  var pixelArea = ee.Image.pixelArea();
+  
+  // Footprint of the structure each pixel belongs to: true pixel area summed over
+  // the 8-connected building pixels (Mercator pixels cover only cos²(lat) of their
+  // nominal area, so counting pixels would overstate it away from the equator).
+  // Structures beyond MAX_FOOTPRINT_PX are left unlabelled and count as the cap.
+  var structures = mask.selfMask().connectedComponents(ee.Kernel.square(1), D.MAX_FOOTPRINT_PX);
+  var footprint = pixelArea.addBands(structures.select('labels'))
+    .reduceConnectedComponents({
+      reducer: ee.Reducer.sum(),
+      labelBand: 'labels',
+      maxSize: D.MAX_FOOTPRINT_PX
+    })
+    .reproject(proj)
+    .unmask(D.MAX_FOOTPRINT_PX * D.PIXEL_SCALE_M * D.PIXEL_SCALE_M);
+  var height = raster.select('building_height');
+  var floors = height.divide(D.FLOOR_HEIGHT_M).round().max(1);
+  
+  // Assign classes from the catch-all backwards so earlier classes take priority
+  var lastIdx = D.CLASSES.length - 1;
+  var classIdx = ee.Image.constant(lastIdx);
+  for (var i = lastIdx - 1; i >= 0; i--) {
+    var c = D.CLASSES[i];
+    var match = ee.Image.constant(0);
+    if (c.minFootprintM2 !== null) match = match.or(footprint.gte(c.minFootprintM2));
+    if (c.minHeightM !== null) match = match.or(height.gte(c.minHeightM));
+    classIdx = classIdx.where(match, i);
+  }
+  
+  return pixelArea.rename('footprint_m2')
+    .addBands(pixelArea.multiply(floors).rename('floor_m2'))
+    .addBands(classIdx.rename('demand_class'))
+    .updateMask(mask);
+};
+
+/**
+ * Least-cost network distance (m) from the site over a slope-weighted cost surface.
+ */
+var calcNetworkDistance = function(point, maxDistanceM) {
+  var G = CONFIG.GRID;
+  var cost = ee.Image(1).add(ee.Terrain.slope(elevation).multiply(G.SLOPE_PENALTY));
+  var source = ee.Image().toByte().paint(ee.FeatureCollection([ee.Feature(point)]), 1);
+  return cost.cumulativeCost({source: source, maxDistance: maxDistanceM})
+    .reproject({crs: 'EPSG:3857', scale: G.COST_SCALE_M})
+    .rename('network_m');
+};
+
+/**
+ * Demand inputs summed per network-distance bin:
+ * [res_floor_m2, nonres_kwh_day, footprint_m2, area_m2] grouped by 'bin'.
+ * Demand bands are unmasked to 0 so area_m2 covers the whole reachable zone.
+ */
+var calcDistanceBins = function(demandImage, networkDistance, region) {
+  var D = CONFIG.DEMAND;
+  var lastIdx = D.CLASSES.length - 1;
+  var classIdx = demandImage.select('demand_class');
+  var floor = demandImage.select('floor_m2');
+  var intensity = classIdx.remap(
+    D.CLASSES.map(function(c, i) { return i; }),
+    D.CLASSES.map(function(c) { return c.kwhPerM2Day || 0; })
+  );
+  
+  var stack = ee.Image.cat([
+    floor.updateMask(classIdx.eq(lastIdx)).unmask(0).rename('res_floor_m2'),
+    floor.multiply(intensity).unmask(0).rename('nonres_kwh_day'),
+    demandImage.select('footprint_m2').unmask(0),
+    ee.Image.pixelArea().rename('area_m2'),
+    networkDistance.divide(CONFIG.GRID.DISTANCE_BIN_M).floor().int().rename('bin')
+  ]);
+  
+  return stack.reduceRegion({
+    reducer: ee.Reducer.sum().repeat(4).group({groupField: 4, groupName: 'bin'}),
+    geometry: region,
+    scale: D.PIXEL_SCALE_M,
+    maxPixels: 1e10
+  }).get('groups');
+};
+
+/**
+ * Daily demand (kWh) per class for the current Home Load slider value.
+ * Residential floor area is converted to households; other classes use their intensity.
+ */
+var calcDemandBreakdown = function(demandClasses, householdLoad) {
+  return demandClasses.map(function(dc) {
+    var spec = CONFIG.DEMAND.CLASSES.filter(function(c) { return c.name === dc.name; })[0];
+    var households = dc.floorM2 / CONFIG.DEMAND.HOUSEHOLD_FLOOR_AREA_M2;
+    var kwh = spec.kwhPerM2Day === null ? households * householdLoad : dc.floorM2 * spec.kwhPerM2Day;
+    return {name: dc.name, floorM2: dc.floorM2, households: households, kwhPerDay: kwh,
+            perHousehold: spec.kwhPerM2Day === null};
+  });
+};
+
+
+// ============================================================================
+// 4. CLIENT-SIDE MODELS
+// ============================================================================
+// Everything in this section runs in the browser on already-evaluated numbers,
+// so slider and layout changes never trigger a new Earth Engine request.
+
+// Number twins of the windphysics formulas (modules/windmath.js)
+var interpCurve = windmath.interpCurve;
+var turbinePowerKW = windmath.turbinePowerKW;   // Mirrors calcTurbineFrame()
+var windDirection = windmath.windDirection;
+
+/**
+ * Converts lon/lat positions to local east/north metres around an origin.
+ */
+var toLocalXY = function(origin, pos) {
+  var mPerDegLon = 111320 * Math.cos(origin.lat * Math.PI / 180);
+  return {x: (pos.lon - origin.lon) * mPerDegLon, y: (pos.lat - origin.lat) * 110540};
+};
+
+/**
+ * Builds a centred, north-aligned grid of turbine positions.
+ * @param {{lon: number, lat: number}} center Site centre.
+ * @param {number} count Number of turbines.
+ * @param {number} spacingM Distance between neighbouring turbines (m).
+ * @return {Array<{lon: number, lat: number}>}
+ */
+var buildGridLayout = function(center, count, spacingM) {
+  var cols = Math.ceil(Math.sqrt(count));
+  var rows = Math.ceil(count / cols);
+  var mPerDegLon = 111320 * Math.cos(center.lat * Math.PI / 180);
+  var positions = [];
+  for (var i = 0; i < count; i++) {
+    var dx = (i % cols - (cols - 1) / 2) * spacingM;
+    var dy = ((rows - 1) / 2 - Math.floor(i / cols)) * spacingM;
+    positions.push({lon: center.lon + dx / mPerDegLon, lat: center.lat + dy / 110540});
+  }
+  return positions;
+};
+
+/**
+ * Area (m²) of the intersection of two circles with radii r1, r2 and centre distance d.
+ */
+var circleOverlap = function(r1, r2, d) {
+  if (d >= r1 + r2) return 0;
+  if (d <= Math.abs(r1 - r2)) return Math.PI * Math.pow(Math.min(r1, r2), 2);
+  var a1 = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+  var a2 = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+  var kite = 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+  return a1 + a2 - kite;
+};
+
+/**
+ * Jensen (Park) wake model for one timestep.
+ * Every upstream turbine casts a linearly expanding wake (radius R + k·x). The deficit
+ * it causes is (1 - sqrt(1 - Ct)) · (R / (R + k·x))², weighted by the share of the
+ * downstream rotor inside the wake; overlapping deficits combine as root-sum-square.
+ * Ct is taken at the free-stream speed for all rotors.
+ * @param {Array<{x: number, y: number}>} xy Turbine positions in local metres.
+ * @param {number} speed Free-stream hub speed (m/s).
+ * @param {number} u Eastward wind component (direction only).
+ * @param {number} v Northward wind component (direction only).
+ * @param {Object} turbine Entry from CONFIG.TURBINES.
+ * @return {Array<number>} Waked hub speed at each turbine.
+ */
+var calcWakeSpeeds = function(xy, speed, u, v, turbine) {
+  var norm = Math.sqrt(u * u + v * v);
+  if (norm === 0 || xy.length < 2) return xy.map(function() { return speed; });
+  
+  var R = turbine.rotorDiameter / 2;
+  var k = CONFIG.WAKE.DECAY_K;
+  var ct = interpCurve(CONFIG.WAKE.CT_CURVE.speed, CONFIG.WAKE.CT_CURVE.ct, speed);
+  var deficitScale = 1 - Math.sqrt(1 - ct);
+  var wx = u / norm, wy = v / norm; // Unit vector pointing downwind
+  
+  return xy.map(function(target, i) {
+    var sumSq = 0;
+    xy.forEach(function(source, j) {
+      if (i === j) return;
+      var dx = target.x - source.x, dy = target.y - source.y;
+      var along = dx * wx + dy * wy;
+      if (along <= 0) return; // Not downwind of this source
+      var cross = Math.abs(dx * wy - dy * wx);
+      var wakeR = R + k * along;
+      var shaded = circleOverlap(wakeR, R, cross) / (Math.PI * R * R);
+      var deficit = deficitScale * Math.pow(R / wakeR, 2) * shaded;
+      sumSq += deficit * deficit;
+    });
+    return speed * (1 - Math.sqrt(sumSq));
+  });
+};
+
+/**
+ * Runs the wake model over the 6-hourly site series.
+ * @return {{perTurbine: Array<number>, wakeLoss: number, farmKW: Array<number>}}
+ *   perTurbine: each turbine's energy as a fraction of an unwaked turbine;
+ *   wakeLoss: farm-level fraction of energy lost to wakes;
+ *   farmKW: farm output per timestep.
+ */
+var simulateFarm = function(steps, layout, origin, turbine) {
+  var xy = layout.map(function(pos) { return toLocalXY(origin, pos); });
+  var energy = layout.map(function() { return 0; });
+  var freeEnergy = 0;
+  var farmKW = [];
+  
+  steps.forEach(function(s) {
+    var speeds = calcWakeSpeeds(xy, s.speed, s.u, s.v, turbine);
+    var total = 0;
+    speeds.forEach(function(ws, i) {
+      var p = turbinePowerKW(turbine, ws, s.rho);
+      energy[i] += p;
+      total += p;
+    });
+    freeEnergy += turbinePowerKW(turbine, s.speed, s.rho);
+    farmKW.push(total);
+  });
+  
+  if (freeEnergy === 0) {
+    return {perTurbine: energy.map(function() { return 1; }), wakeLoss: 0, farmKW: farmKW};
+  }
+  var farmTotal = energy.reduce(function(a, b) { return a + b; }, 0);
+  return {
+    perTurbine: energy.map(function(e) { return e / freeEnergy; }),
+    wakeLoss: 1 - farmTotal / (freeEnergy * layout.length),
+    farmKW: farmKW
+  };
+};
+
+/**
+ * Chronological energy balance at a fixed timestep.
+ * Order of dispatch: wind -> load, surplus -> battery (rest curtailed), deficit ->
+ * battery -> diesel -> unmet. The round-trip efficiency is split evenly between
+ * charging and discharging; the battery starts full.
+ * @param {Array<number>} farmKW Farm output per step (kW).
+ * @param {number} loadKWh Demand per step (kWh).
+ * @param {{capacityKWh: number, powerKW: number, efficiency: number}} battery
+ * @param {number} dieselKW Backup generator rating (0 = none).
+ * @return {Object} Unmet hours, LOLP, curtailed/diesel/unmet kWh and renewable fraction.
+ */
+var simulateDispatch = function(farmKW, loadKWh, battery, dieselKW) {
+  var hours = CONFIG.STORAGE.STEP_HOURS;
+  var eta = Math.sqrt(battery.efficiency);
+  var maxFlow = battery.powerKW * hours;
+  var soc = battery.capacityKWh;
+  var result = {unmetHours: 0, unmetKWh: 0, curtailedKWh: 0, dieselKWh: 0, renewableKWh: 0, lolp: 0, renewableFraction: 0};
+  var unmetSteps = 0;
+  
+  farmKW.forEach(function(kw) {
+    var gen = kw * hours;
+    if (gen >= loadKWh) {
+      var surplus = gen - loadKWh;
+      var charge = Math.min(surplus, maxFlow, (battery.capacityKWh - soc) / eta);
+      soc += charge * eta;
+      result.curtailedKWh += surplus - charge;
+      result.renewableKWh += loadKWh;
+    } else {
+      var deficit = loadKWh - gen;
+      var discharge = Math.min(deficit, maxFlow, soc * eta);
+      soc -= discharge / eta;
+      deficit -= discharge;
+      result.renewableKWh += gen + discharge;
+      
+      var diesel = Math.min(deficit, dieselKW * hours);
+      result.dieselKWh += diesel;
+      deficit -= diesel;
+      
+      if (deficit > 1e-6) {
+        unmetSteps++;
+        result.unmetKWh += deficit;
+      }
+    }
+  });
+  
+  var totalLoad = loadKWh * farmKW.length;
+  result.unmetHours = unmetSteps * hours;
+  result.lolp = farmKW.length > 0 ? unmetSteps / farmKW.length : 0;
+  result.renewableFraction = totalLoad > 0 ? result.renewableKWh / totalLoad : 0;
+  return result;
+};
+
+/**
+ * Smallest battery (kWh, rated at SIZING_DURATION_H) whose reliability (1 - LOLP)
+ * meets the target. Bisection over capacity; returns null when even the search
+ * ceiling falls short.
+ */
+var findMinBattery = function(farmKW, loadKWh, efficiency, dieselKW, targetReliability) {
+  var S = CONFIG.STORAGE;
+  var sized = function(capacity) {
+    var battery = {capacityKWh: capacity, powerKW: capacity / S.SIZING_DURATION_H, efficiency: efficiency};
+    return 1 - simulateDispatch(farmKW, loadKWh, battery, dieselKW).lolp >= targetReliability;
+  };
+  
+  var hi = loadKWh * (24 / S.STEP_HOURS) * S.SIZING_MAX_DAYS;
+  if (sized(0)) return 0;
+  if (!sized(hi)) return null;
+  
+  var lo = 0;
+  for (var i = 0; i < 25 && hi - lo > 1; i++) {
+    var mid = (lo + hi) / 2;
+    if (sized(mid)) hi = mid; else lo = mid;
+  }
+  return hi;
+};
+
+/**
+ * Project cash flows and headline metrics.
+ * Year 0 carries the capex; years 1..N earn tariff × degraded energy minus opex.
+ * @param {{capex: number, opexYr: number, energyKWh: number, tariff: number,
+ *          lifetime: number, rate: number, degradation: number}} p
+ * @return {{lcoe: number, npv: number, irr: ?number, paybackYear: ?number,
+ *           flows: Array<{year: number, cash: number, cumulative: number}>}}
+ */
+var calcEconomics = function(p) {
+  var flows = [{year: 0, cash: -p.capex, cumulative: -p.capex}];
+  for (var t = 1; t <= p.lifetime; t++) {
+    var energy = p.energyKWh * Math.pow(1 - p.degradation, t - 1);
+    var cash = energy * p.tariff - p.opexYr;
+    flows.push({year: t, cash: cash, energy: energy, cumulative: flows[t - 1].cumulative + cash});
+  }
+  
+  var npvAt = function(rate) {
+    return flows.reduce(function(sum, f) { return sum + f.cash / Math.pow(1 + rate, f.year); }, 0);
+  };
+  
+  // LCOE = discounted lifetime cost / discounted lifetime energy
+  var costPV = p.capex, energyPV = 0;
+  flows.slice(1).forEach(function(f) {
+    var df = Math.pow(1 + p.rate, f.year);
+    costPV += p.opexYr / df;
+    energyPV += f.energy / df;
+  });
+  
+  // IRR by bisection (NPV falls as the rate rises); null when there is no sign change
+  var irr = null;
+  var lo = -0.99, hi = 1.0;
+  if (npvAt(lo) > 0 && npvAt(hi) < 0) {
+    for (var i = 0; i < 60; i++) {
+      var mid = (lo + hi) / 2;
+      if (npvAt(mid) > 0) lo = mid; else hi = mid;
+    }
+    irr = (lo + hi) / 2;
+  }
+  
+  // Simple payback, interpolated within the year the cumulative cash turns positive
+  var paybackYear = null;
+  for (var y = 1; y < flows.length; y++) {
+    if (flows[y].cumulative >= 0) {
+      paybackYear = y - 1 + (-flows[y - 1].cumulative / flows[y].cash);
+      break;
+    }
+  }
+  
+  return {
+    lcoe: energyPV > 0 ? costPV / energyPV : Infinity,
+    npv: npvAt(p.rate),
+    irr: irr,
+    paybackYear: paybackYear,
+    flows: flows
+  };
+};
+
+/**
+ * Nearest-first mini-grid allocation.
+ * Walks the network-distance bins outward and keeps connecting buildings while the
+ * farm output, net of distribution losses, still covers the connected demand.
+ * Line length uses the MST estimate c·sqrt(N·A) over the connected zone; losses scale
+ * with the demand-weighted mean network distance.
+ * @param {Array<Object>} bins Sorted output of calcDistanceBins().
+ * @param {number} supplyKWhDay Farm generation (kWh/day).
+ * @param {number} householdLoad Home Load slider value (kWh/day).
+ * @return {{reachM: number, servedKWh: number, lineKm: number, loss: number, connections: number}}
+ */
+var allocateNetwork = function(bins, supplyKWhDay, householdLoad) {
+  var G = CONFIG.GRID;
+  var best = {reachM: 0, servedKWh: 0, lineKm: 0, loss: 0, connections: 0};
+  var demand = 0, distWeighted = 0, nodes = 0, area = 0;
+  
+  for (var i = 0; i < bins.length; i++) {
+    var b = bins[i];
+    var binDemand = b.resFloorM2 / CONFIG.DEMAND.HOUSEHOLD_FLOOR_AREA_M2 * householdLoad + b.nonResKWh;
+    var midM = b.edgeM - G.DISTANCE_BIN_M / 2;
+    
+    var nextDemand = demand + binDemand;
+    var meanKm = nextDemand > 0 ? (distWeighted + binDemand * midM) / nextDemand / 1000 : 0;
+    var loss = Math.min(G.LOSS_PER_KM * meanKm, G.MAX_LOSS);
+    if (nextDemand > supplyKWhDay * (1 - loss)) break;
+    
+    demand = nextDemand;
+    distWeighted += binDemand * midM;
+    nodes += b.footprintM2 / G.HOUSEHOLD_PIXEL_M2;
+    area += b.areaM2;
+    best = {
+      reachM: b.edgeM,
+      servedKWh: demand,
+      lineKm: G.MST_CONSTANT * Math.sqrt(nodes * area) / 1000,
+      loss: loss,
+      connections: Math.round(nodes)
+    };
+  }
+  return best;
+};
+
+/**
+ * Directional histogram of the 6-hourly site series.
+ * Each step is binned by sector and hub speed; energy is a single unwaked turbine,
+ * accumulated per sector and speed bin alongside the counts.
+ * @return {{sectors: Array<{name: string, centerDeg: number, counts: Array<number>,
+ *           energyKWh: Array<number>}>, total: number,
+ *           monthly: Array<{month: number, sector: string, share: number, meanSpeed: number}>}}
+ */
+var calcWindRose = function(steps, turbine) {
+  var R = CONFIG.WIND_ROSE;
+  var width = 360 / R.SECTORS.length;
+  var hours = CONFIG.STORAGE.STEP_HOURS;
+  var sectors = R.SECTORS.map(function(name, i) {
+    return {
+      name: name,
+      centerDeg: i * width,
+      counts: R.SPEED_BINS.map(function() { return 0; }),
+      energyKWh: R.SPEED_BINS.map(function() { return 0; })
+    };
+  });
+  var months = [];
+  for (var m = 0; m < 12; m++) {
+    months.push({counts: R.SECTORS.map(function() { return 0; }), speedSum: 0, n: 0});
+  }
+  
+  steps.forEach(function(s) {
+    var idx = Math.floor(((windDirection(s.u, s.v) + width / 2) % 360) / width);
+    var bin = 0;
+    while (bin < R.SPEED_BINS.length - 1 && s.speed >= R.SPEED_BINS[bin + 1]) bin++;
+    sectors[idx].counts[bin]++;
+    sectors[idx].energyKWh[bin] += turbinePowerKW(turbine, s.speed, s.rho) * hours;
+    
+    var month = months[new Date(s.t).getUTCMonth()];
+    month.counts[idx]++;
+    month.speedSum += s.speed;
+    month.n++;
+  });
+  
+  var monthly = months.map(function(mo, i) {
+    var top = mo.counts.indexOf(Math.max.apply(null, mo.counts));
+    return {
+      month: i,
+      sector: mo.n > 0 ? R.SECTORS[top] : '-',
+      share: mo.n > 0 ? mo.counts[top] / mo.n : 0,
+      meanSpeed: mo.n > 0 ? mo.speedSum / mo.n : 0
+    };
+  });
+  
+  return {sectors: sectors, total: steps.length, monthly: monthly};
+};
+
+/**
+ * Flattens the wind rose into one row per sector and speed bin (for CSV export).
+ */
+var windRoseRows = function(rose) {
+  var R = CONFIG.WIND_ROSE;
+  var hours = CONFIG.STORAGE.STEP_HOURS;
+  var rows = [];
+  rose.sectors.forEach(function(sector) {
+    sector.counts.forEach(function(count, b) {
+      var hi = R.SPEED_BINS[b + 1];
+      rows.push({
+        sector: sector.name,
+        direction_deg: sector.centerDeg,
+        speed_bin: R.SPEED_BINS[b] + (hi === undefined ? '+' : '-' + hi) + ' m/s',
+        hours: count * hours,
+        frequency_pct: rose.total > 0 ? count / rose.total * 100 : 0,
+        energy_mwh: sector.energyKWh[b] / 1000
+      });
+    });
+  });
+  return rows;
+};
+
+// Weibull fit (method of moments) and density, see modules/windmath.js
+var fitWeibull = windmath.fitWeibull;
+var weibullPdf = windmath.weibullPdf;
+
+/**
+ * Annual energy (kWh) of one unwaked turbine: integral of P(v) * f(v) dv * 8760 h.
+ * Midpoint rule up to MAX_SPEED_MS at the site's mean air density.
+ */
+var weibullAEP = function(turbine, fit, rho) {
+  var W = CONFIG.WEIBULL;
+  var dv = W.INTEGRATION_STEP_MS;
+  var meanKW = 0;
+  for (var v = dv / 2; v < W.MAX_SPEED_MS; v += dv) {
+    meanKW += turbinePowerKW(turbine, v, rho) * weibullPdf(fit, v) * dv;
+  }
+  return meanKW * 8760;
+};
+
+/**
+ * Empirical speed histogram next to the fitted density, as a chart data table.
+ */
+var weibullTable = function(speeds, fit) {
+  var W = CONFIG.WEIBULL;
+  var nBins = Math.ceil(W.MAX_SPEED_MS / W.HIST_BIN_MS);
+  var counts = [];
+  for (var b = 0; b < nBins; b++) counts.push(0);
+  speeds.forEach(function(s) {
+    counts[Math.min(nBins - 1, Math.floor(s / W.HIST_BIN_MS))]++;
+  });
+  var rows = [['Speed (m/s)', 'Observed', 'Weibull fit']];
+  var maxSpeed = Math.max.apply(null, speeds);
+  for (var i = 0; i < nBins && i * W.HIST_BIN_MS <= maxSpeed + W.HIST_BIN_MS; i++) {
+    var center = (i + 0.5) * W.HIST_BIN_MS;
+    rows.push([center, counts[i] / speeds.length / W.HIST_BIN_MS, weibullPdf(fit, center)]);
+  }
+  return rows;
+};
+
 
 // ============================================================================
-// 4. UI COMPONENT CONSTRUCTION
+// 5. UI COMPONENT CONSTRUCTION
 // ============================================================================
 
 // Main container panel
@@ -133,17 +876,96 @@ var locSelect = ui.Select({
     if (key && CONFIG.LOCATIONS[key]) {
       var coords = CONFIG.LOCATIONS[key];
       Map.setCenter(coords[0], coords[1], CONFIG.UI.START_ZOOM);
+      ui.url.set('preset', key);
     }
   }
 });
 
+// -- Turbine Model --
+var modelLabel = ui.Label('Turbine Model:', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var turbineSelect = ui.Select({
+  items: Object.keys(CONFIG.TURBINES),
+  value: CONFIG.DEFAULT_TURBINE,
+  style: {width: '380px'}
+});
+
 // -- Parameter Controls --
 var turbLabel = ui.Label('Project Scale: # of Turbine', {fontWeight: 'bold', margin: '15px 0 5px 0'});
 var turbSlider = ui.Slider({min: 1, max: 10, value: 1, step: 1, style: {width: '380px'}});
 
+// -- Farm Layout --
+var layoutLabel = ui.Label('Farm Layout:', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var layoutSelect = ui.Select({
+  items: ['Grid Layout', 'Manual Placement'],
+  value: 'Grid Layout',
+  style: {width: '380px'}
+});
+var spacingLabel = ui.Label('Grid Spacing: ' + CONFIG.WAKE.DEFAULT_SPACING_D + ' Rotor Diameters',
+    {fontWeight: 'bold', margin: '10px 0 5px 0'});
+var spacingSlider = ui.Slider({min: 3, max: 12, value: CONFIG.WAKE.DEFAULT_SPACING_D, step: 0.5, style: {width: '380px'}});
+var layoutHint = ui.Label('', {fontSize: '10px', color: 'gray'});
+var clearTurbinesButton = ui.Button({label: 'Clear Placed Turbines', style: {shown: false}});
+
 var loadLabel = ui.Label('Avg Home Load: 1.5 kWh/day (Tier 3)', {fontWeight: 'bold', margin: '15px 0 5px 0'});
 var loadSlider = ui.Slider({min: 0.5, max: 30, value: 1.5, step: 0.5, style: {width: '380px'}});
 
+var radiusLabel = ui.Label('', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var radiusSlider = ui.Slider({min: 1, max: 20, value: CONFIG.DATA.SEARCH_RADIUS_M / 1000, step: 1, style: {width: '380px'}});
+
+// -- Storage & Backup --
+var storageLabel = ui.Label('Storage & Backup:', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var batteryCapLabel = ui.Label('Battery Capacity: 0 kWh', {fontSize: '11px', margin: '4px 8px'});
+var batteryCapSlider = ui.Slider({min: 0, max: 50000, value: 0, step: 250, style: {width: '380px'}});
+var batteryPowerLabel = ui.Label('Battery Power: 0 kW', {fontSize: '11px', margin: '4px 8px'});
+var batteryPowerSlider = ui.Slider({min: 0, max: 10000, value: 0, step: 100, style: {width: '380px'}});
+var rteLabel = ui.Label('Round-Trip Efficiency: ' + CONFIG.STORAGE.DEFAULT_RTE * 100 + '%', {fontSize: '11px', margin: '4px 8px'});
+var rteSlider = ui.Slider({min: 0.5, max: 1.0, value: CONFIG.STORAGE.DEFAULT_RTE, step: 0.01, style: {width: '380px'}});
+var dieselCheckbox = ui.Checkbox({label: 'Diesel Backup', value: false, style: {fontSize: '11px'}});
+var dieselSlider = ui.Slider({min: 0, max: 5000, value: 500, step: 50, style: {width: '380px', shown: false}});
+var reliabilityLabel = ui.Label('Target Reliability: 95%', {fontSize: '11px', margin: '4px 8px'});
+var reliabilitySlider = ui.Slider({min: 0.8, max: 1.0, value: 0.95, step: 0.01, style: {width: '380px'}});
+
+// -- Project Economics --
+var econLabel = ui.Label('Project Economics:', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var capexLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var capexSlider = ui.Slider({min: 500, max: 4000, value: CONFIG.ECONOMICS.CAPEX_PER_KW, step: 50, style: {width: '380px'}});
+var opexLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var opexSlider = ui.Slider({min: 0, max: 150, value: CONFIG.ECONOMICS.OPEX_PER_KW_YR, step: 5, style: {width: '380px'}});
+var lifetimeLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var lifetimeSlider = ui.Slider({min: 10, max: 30, value: CONFIG.ECONOMICS.LIFETIME_YR, step: 1, style: {width: '380px'}});
+var rateLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var rateSlider = ui.Slider({min: 0, max: 0.20, value: CONFIG.ECONOMICS.DISCOUNT_RATE, step: 0.005, style: {width: '380px'}});
+var degradationLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var degradationSlider = ui.Slider({min: 0, max: 0.02, value: CONFIG.ECONOMICS.DEGRADATION, step: 0.001, style: {width: '380px'}});
+var tariffLabel = ui.Label('', {fontSize: '11px', margin: '4px 8px'});
+var tariffSlider = ui.Slider({min: 0.02, max: 0.60, value: CONFIG.ECONOMICS.TARIFF_PER_KWH, step: 0.01, style: {width: '380px'}});
+
+var hubLabel = ui.Label('Hub Height (m):', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var hubSelect = ui.Select({
+  items: CONFIG.SHEAR.HUB_OPTIONS,
+  value: CONFIG.SHEAR.HUB_OPTIONS[0],
+  style: {width: '380px'}
+});
+
+// -- Batch Ranking --
+var batchLabel = ui.Label('Batch Site Ranking:', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var batchAssetBox = ui.Textbox({
+  placeholder: 'Candidate asset (blank = preset locations)',
+  style: {width: '380px'}
+});
+var batchButton = ui.Button({label: 'Rank Sites & Export CSV', style: {width: '380px'}});
+var batchStatus = ui.Label('', {fontSize: '10px', color: 'gray'});
+
+// -- Scenario Sharing --
+var scenarioLabel = ui.Label('Scenario (also saved in the page URL):', {fontWeight: 'bold', margin: '15px 0 5px 0'});
+var scenarioBox = ui.Textbox({placeholder: 'Paste scenario JSON to import...', style: {width: '380px'}});
+var scenarioExportButton = ui.Button({label: 'Export Scenario JSON'});
+var scenarioImportButton = ui.Button({label: 'Import Scenario'});
+var scenarioButtons = ui.Panel({
+  widgets: [scenarioExportButton, scenarioImportButton],
+  layout: ui.Panel.Layout.Flow('horizontal')
+});
+
 // -- Dynamic Panels --
 var statsPanel = ui.Panel({style: {padding: '8px', margin: '10px 0', border: '1px solid #ddd', borderRadius: '4px'}});
 var chartPanel = ui.Panel({style: {margin: '10px 0'}}); 
@@ -154,24 +976,65 @@ mainPanel.add(title);
 //mainPanel.add(desc);
 mainPanel.add(locLabel);
 mainPanel.add(locSelect);
+mainPanel.add(modelLabel);
+mainPanel.add(turbineSelect);
+mainPanel.add(hubLabel);
+mainPanel.add(hubSelect);
+mainPanel.add(layoutLabel);
+mainPanel.add(layoutSelect);
 mainPanel.add(turbLabel);
 mainPanel.add(turbSlider);
+mainPanel.add(spacingLabel);
+mainPanel.add(spacingSlider);
+mainPanel.add(layoutHint);
+mainPanel.add(clearTurbinesButton);
 mainPanel.add(loadLabel);
 mainPanel.add(loadSlider);
+mainPanel.add(radiusLabel);
+mainPanel.add(radiusSlider);
+mainPanel.add(storageLabel);
+mainPanel.add(batteryCapLabel);
+mainPanel.add(batteryCapSlider);
+mainPanel.add(batteryPowerLabel);
+mainPanel.add(batteryPowerSlider);
+mainPanel.add(rteLabel);
+mainPanel.add(rteSlider);
+mainPanel.add(dieselCheckbox);
+mainPanel.add(dieselSlider);
+mainPanel.add(reliabilityLabel);
+mainPanel.add(reliabilitySlider);
+mainPanel.add(econLabel);
+[capexLabel, capexSlider, opexLabel, opexSlider, lifetimeLabel, lifetimeSlider,
+ rateLabel, rateSlider, degradationLabel, degradationSlider, tariffLabel, tariffSlider].forEach(function(w) {
+  mainPanel.add(w);
+});
+mainPanel.add(scenarioLabel);
+mainPanel.add(scenarioBox);
+mainPanel.add(scenarioButtons);
+mainPanel.add(batchLabel);
+mainPanel.add(batchAssetBox);
+mainPanel.add(batchButton);
+mainPanel.add(batchStatus);
 mainPanel.add(statsPanel);
 mainPanel.add(chartPanel);
 mainPanel.add(methodPanel);
 
 // -- Static Documentation --
 //methodPanel.add(ui.Label('Legend:', {fontWeight: 'bold', fontSize: '12px'}));
-methodPanel.add(ui.Label('• Cyan Dot: Turbine Location'));
-methodPanel.add(ui.Label('• Blue Houses: Powered '));
+methodPanel.add(ui.Label('• Cyan Dots: Turbine Locations'));
+methodPanel.add(ui.Label('• Blue Houses: Powered (nearest-first along the mini-grid)'));
 //methodPanel.add(ui.Label('Calculation Formula:', {fontWeight: 'bold', fontSize: '12px', margin: '10px 0 0 0'}));
-methodPanel.add(ui.Label('Power = 0.5 × Air Density × Area × Velocity³', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Resource = 0.5 × Air Density × Velocity³', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Air Density = Pressure / (R × Temperature), per pixel & timestep', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Hub Wind = 100m Wind × (Hub / 100)^α, α from 10m/100m shear', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Output = Manufacturer Power Curve (interpolated per 6h frame)', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Weibull AEP = 8760 h × ∫ P(v) f(v; k, c) dv, k = (σ/μ)^-1.086', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Wake Losses = Jensen model, 6-hourly wind direction', {fontSize: '11px', color: '#555'}));
+methodPanel.add(ui.Label('Dispatch = Wind → Load → Battery → Diesel, 6-hourly (reference member)', {fontSize: '11px', color: '#555'}));
 
 
 // ============================================================================
-// 5. EVENT HANDLERS & LOGIC
+// 6. EVENT HANDLERS & LOGIC
 // ============================================================================
 
 /**
@@ -180,11 +1043,31 @@ methodPanel.add(ui.Label('Power = 0.5 × Air Density × Area × Velocity³', {fo
 var onParamsChange = function() {
   var tVal = turbSlider.getValue();
   var lVal = loadSlider.getValue();
+  var isManual = layoutSelect.getValue() === 'Manual Placement';
   
   // Update Labels
   turbLabel.setValue('Project Scale: ' + tVal + ' Turbines');
+  spacingLabel.setValue('Grid Spacing: ' + spacingSlider.getValue() + ' Rotor Diameters');
+  turbSlider.setDisabled(isManual);
+  spacingSlider.setDisabled(isManual);
+  clearTurbinesButton.style().set('shown', isManual);
+  layoutHint.setValue(isManual ?
+      'Click the map to add turbines around the site. Switch back to Grid to pick a new site.' : '');
   var tier = lVal < 1 ? '(Basic)' : lVal < 5 ? '(Standard Household)' : '(Heavy/Industrial)';
   loadLabel.setValue('Avg Home Load: ' + lVal + ' kWh/day ' + tier);
+  radiusLabel.setValue('Building Search Radius: ' + radiusSlider.getValue() + ' km');
+  batteryCapLabel.setValue('Battery Capacity: ' + batteryCapSlider.getValue().toLocaleString() + ' kWh');
+  batteryPowerLabel.setValue('Battery Power: ' + batteryPowerSlider.getValue().toLocaleString() + ' kW');
+  rteLabel.setValue('Round-Trip Efficiency: ' + Math.round(rteSlider.getValue() * 100) + '%');
+  dieselSlider.style().set('shown', dieselCheckbox.getValue());
+  dieselCheckbox.setLabel('Diesel Backup' + (dieselCheckbox.getValue() ? ': ' + dieselSlider.getValue() + ' kW' : ''));
+  reliabilityLabel.setValue('Target Reliability: ' + Math.round(reliabilitySlider.getValue() * 100) + '%');
+  capexLabel.setValue('Capex: $' + capexSlider.getValue().toLocaleString() + ' / kW');
+  opexLabel.setValue('Opex: $' + opexSlider.getValue() + ' / kW / yr');
+  lifetimeLabel.setValue('Lifetime: ' + lifetimeSlider.getValue() + ' years');
+  rateLabel.setValue('Discount Rate: ' + (rateSlider.getValue() * 100).toFixed(1) + '%');
+  degradationLabel.setValue('Degradation: ' + (degradationSlider.getValue() * 100).toFixed(1) + '% / yr');
+  tariffLabel.setValue('Tariff: $' + tariffSlider.getValue().toFixed(2) + ' / kWh');
   
   // Refresh Visuals
   renderVisuals(); 
@@ -192,6 +1075,195 @@ var onParamsChange = function() {
 
 turbSlider.onChange(onParamsChange);
 loadSlider.onChange(onParamsChange);
+spacingSlider.onChange(onParamsChange);
+layoutSelect.onChange(onParamsChange);
+[batteryCapSlider, batteryPowerSlider, rteSlider, dieselSlider, reliabilitySlider,
+ capexSlider, opexSlider, lifetimeSlider, rateSlider, degradationSlider, tariffSlider].forEach(function(w) {
+  w.onChange(onParamsChange);
+});
+dieselCheckbox.onChange(onParamsChange);
+
+clearTurbinesButton.onClick(function() {
+  APP_STATE.manualTurbines = [];
+  renderVisuals();
+});
+
+/**
+ * Returns the turbine positions for the current layout mode.
+ * Manual mode always keeps the clicked site as the first turbine.
+ */
+var getLayout = function() {
+  if (layoutSelect.getValue() === 'Manual Placement') {
+    return [APP_STATE.coords].concat(APP_STATE.manualTurbines);
+  }
+  var turbine = CONFIG.TURBINES[APP_STATE.turbineName];
+  var spacingM = spacingSlider.getValue() * turbine.rotorDiameter;
+  return buildGridLayout(APP_STATE.coords, turbSlider.getValue(), spacingM);
+};
+
+/**
+ * Handles turbine model, hub height and search radius changes.
+ * All are applied server-side, so the site must be re-analysed (placed turbines are kept).
+ */
+var onSiteParamsChange = function() {
+  radiusLabel.setValue('Building Search Radius: ' + radiusSlider.getValue() + ' km');
+  if (APP_STATE.coords) runSiteAnalysis(APP_STATE.coords, APP_STATE.manualTurbines);
+};
+
+turbineSelect.onChange(onSiteParamsChange);
+hubSelect.onChange(onSiteParamsChange);
+radiusSlider.onChange(onSiteParamsChange);
+
+// ----------------------------------------------------------------------------
+// Scenario Persistence (URL parameters + JSON)
+// ----------------------------------------------------------------------------
+
+// Scenario format written by getScenario(); older / newer files are still read key by key
+var SCENARIO_VERSION = 1;
+
+/**
+ * Every control that defines a scenario, keyed by its URL / JSON name.
+ * 'select' values must be one of the widget's items (fallback: its start-up value).
+ */
+var SCENARIO_WIDGETS = {
+  preset: {widget: locSelect, type: 'select'},
+  model: {widget: turbineSelect, type: 'select'},
+  hub: {widget: hubSelect, type: 'select'},
+  layout: {widget: layoutSelect, type: 'select'},
+  turbines: {widget: turbSlider, type: 'number'},
+  spacing: {widget: spacingSlider, type: 'number'},
+  load: {widget: loadSlider, type: 'number'},
+  radius: {widget: radiusSlider, type: 'number'},
+  battery_kwh: {widget: batteryCapSlider, type: 'number'},
+  battery_kw: {widget: batteryPowerSlider, type: 'number'},
+  rte: {widget: rteSlider, type: 'number'},
+  diesel: {widget: dieselCheckbox, type: 'boolean'},
+  diesel_kw: {widget: dieselSlider, type: 'number'},
+  reliability: {widget: reliabilitySlider, type: 'number'},
+  capex: {widget: capexSlider, type: 'number'},
+  opex: {widget: opexSlider, type: 'number'},
+  lifetime: {widget: lifetimeSlider, type: 'number'},
+  rate: {widget: rateSlider, type: 'number'},
+  degradation: {widget: degradationSlider, type: 'number'},
+  tariff: {widget: tariffSlider, type: 'number'}
+};
+Object.keys(SCENARIO_WIDGETS).forEach(function(key) {
+  SCENARIO_WIDGETS[key].fallback = SCENARIO_WIDGETS[key].widget.getValue();
+});
+
+/**
+ * Snapshot of the current site and controls as a plain object.
+ */
+var getScenario = function() {
+  var scenario = {version: SCENARIO_VERSION};
+  if (APP_STATE.coords) {
+    scenario.lat = Number(APP_STATE.coords.lat.toFixed(5));
+    scenario.lon = Number(APP_STATE.coords.lon.toFixed(5));
+  }
+  Object.keys(SCENARIO_WIDGETS).forEach(function(key) {
+    var value = SCENARIO_WIDGETS[key].widget.getValue();
+    if (value !== null && value !== undefined) scenario[key] = value;
+  });
+  scenario.placed = (APP_STATE.manualTurbines || []).map(function(p) {
+    return [Number(p.lon.toFixed(5)), Number(p.lat.toFixed(5))];
+  });
+  return scenario;
+};
+
+/**
+ * Writes the current scenario into the app URL so the link reproduces it.
+ */
+var syncUrlState = function() {
+  var scenario = getScenario();
+  Object.keys(scenario).forEach(function(key) {
+    if (key === 'version') return;
+    var value = key === 'placed' ?
+        scenario.placed.map(function(p) { return p.join(','); }).join(';') :
+        scenario[key];
+    ui.url.set(key, value);
+  });
+};
+
+/**
+ * Reads a scenario back from the URL parameters (missing keys are left out).
+ */
+var readUrlScenario = function() {
+  var scenario = {};
+  ['lat', 'lon', 'placed'].concat(Object.keys(SCENARIO_WIDGETS)).forEach(function(key) {
+    var value = ui.url.get(key);
+    if (value !== undefined && value !== null && value !== '') scenario[key] = value;
+  });
+  if (scenario.placed) {
+    scenario.placed = String(scenario.placed).split(';').map(function(pair) {
+      return pair.split(',').map(Number);
+    });
+  }
+  return scenario;
+};
+
+/**
+ * Applies a scenario to the controls without firing their handlers, then
+ * re-runs the site analysis once if the scenario has a location.
+ * Unknown select values (e.g. a renamed turbine model) fall back to the default
+ * and are reported in the console.
+ */
+var applyScenario = function(scenario) {
+  var problems = [];
+  if (scenario.version !== undefined && Number(scenario.version) !== SCENARIO_VERSION) {
+    problems.push('version ' + scenario.version + ' (this app writes ' + SCENARIO_VERSION +
+        '), values are checked one by one');
+  }
+  
+  Object.keys(SCENARIO_WIDGETS).forEach(function(key) {
+    if (scenario[key] === undefined || scenario[key] === null) return;
+    var entry = SCENARIO_WIDGETS[key];
+    var raw = scenario[key];
+    var value = entry.type === 'number' ? Number(raw) :
+                entry.type === 'boolean' ? (raw === true || raw === 'true') :
+                String(raw);
+    if (entry.type === 'select' && entry.widget.items().getJsArray().indexOf(value) < 0) {
+      problems.push(key + ': unknown "' + value + '", using ' +
+          (entry.fallback ? '"' + entry.fallback + '"' : 'no selection'));
+      value = entry.fallback;
+    }
+    entry.widget.setValue(value, false);
+  });
+  if (problems.length > 0) print('Scenario: ' + problems.join('; '));
+  onParamsChange();
+  
+  if (scenario.lat !== undefined && scenario.lon !== undefined) {
+    var coords = {lon: Number(scenario.lon), lat: Number(scenario.lat)};
+    var placed = (scenario.placed || []).map(function(p) { return {lon: Number(p[0]), lat: Number(p[1])}; });
+    Map.setCenter(coords.lon, coords.lat, CONFIG.UI.START_ZOOM);
+    runSiteAnalysis(coords, placed);
+  }
+};
+
+scenarioExportButton.onClick(function() {
+  var json = JSON.stringify(getScenario());
+  scenarioBox.setValue(json);
+  print('Scenario JSON:', json);
+});
+
+scenarioImportButton.onClick(function() {
+  var scenario;
+  try {
+    scenario = JSON.parse(scenarioBox.getValue());
+  } catch (err) {
+    scenarioBox.setValue('');
+    scenarioBox.setPlaceholder('Invalid JSON: ' + err.message);
+    return;
+  }
+  applyScenario(scenario);
+});
+
+/**
+ * Resolves the hub height from the selector ('Model default' = the turbine's own hub).
+ */
+var getHubHeight = function(turbine) {
+  var hubVal = hubSelect.getValue();
+  return hubVal === CONFIG.SHEAR.HUB_OPTIONS[0] ? turbine.hubHeight : Number(hubVal);
+};
 
 /**
  * The Core Rendering Function.
@@ -199,40 +1271,50 @@ loadSlider.onChange(onParamsChange);
  * This is separated from data fetching to ensure sliders are responsive.
  */
 function renderVisuals() {
+  syncUrlState();
   if (!APP_STATE.hasData) return;
 
-  var numTurbines = turbSlider.getValue();
   var consumption = loadSlider.getValue(); 
   
+  var turbine = CONFIG.TURBINES[APP_STATE.turbineName];
+  
+  // --- 0. Farm Layout & Wakes ---
+  // Wake losses come from the reference member's 6-hourly directions and are
+  // applied as a ratio to the ensemble energy figures.
+  var layout = getLayout();
+  var numTurbines = layout.length;
+  var farm = simulateFarm(APP_STATE.steps, layout, APP_STATE.coords, turbine);
+  var farmFactor = numTurbines * (1 - farm.wakeLoss); // Farm output in unwaked-turbine units
+
   // --- 1. Feasibility Calculation ---
-  var totalDailyKWh = APP_STATE.kwhPerTurbine * numTurbines;
+  var totalDailyKWh = APP_STATE.kwhPerTurbine * farmFactor;
   var homesSupported = Math.floor(totalDailyKWh / consumption);
   
+  // Coverage is measured against the size-weighted demand of all building classes
+  var demand = calcDemandBreakdown(APP_STATE.demandClasses, consumption);
+  var demandKWhDay = demand.reduce(function(sum, d) { return sum + d.kwhPerDay; }, 0);
+  
   var coverageRatio = 0;
-  if (APP_STATE.buildings > 0) {
-    coverageRatio = homesSupported / APP_STATE.buildings;
+  if (demandKWhDay > 0) {
+    coverageRatio = totalDailyKWh / demandKWhDay;
   }
-  var cappedRatio = Math.min(coverageRatio, 1.0); // Clamp to 100%
+  var network = allocateNetwork(APP_STATE.distanceBins, totalDailyKWh, consumption);
   
-  // --- 2. Map Visualization (The "Lottery") ---
+  // --- 2. Map Visualization (Nearest-First Mini-Grid) ---
   Map.layers().reset(); 
   
-  // Turbine Marker
-  Map.addLayer(APP_STATE.centerPoint, 
+  // Turbine Markers
+  var turbinePoints = ee.FeatureCollection(layout.map(function(pos) {
+    return ee.Feature(ee.Geometry.Point(pos.lon, pos.lat));
+  }));
+  Map.addLayer(turbinePoints, 
     {color: CONFIG.UI.TURBINE_COLOR, pointSize: CONFIG.UI.TURBINE_SIZE}, 
-    'Turbine Location (Center)'
+    'Turbine Layout'
   );
 
-  if (APP_STATE.buildingRaster) {
-    // Generate static random noise.
-    // CRITICAL: Reproject to EPSG:3857 at 4m scale to ensure house-level granularity.
-    var seed = ee.Image.random(42).reproject({
-      crs: 'EPSG:3857', 
-      scale: 4 
-    });
-    
-    // Logic: Identify pixels that win the "lottery"
-    var isPowered = seed.lt(cappedRatio); 
+  if (APP_STATE.buildingRaster && network.reachM > 0) {
+    // Logic: A building is powered when it sits within the network reach
+    var isPowered = APP_STATE.networkDistance.lte(network.reachM);
     
     // Masking Strategy:
     // We update the mask so that ONLY pixels that are:
@@ -257,21 +1339,96 @@ function renderVisuals() {
   var wpdColor = meanWPD < 200 ? 'black' : meanWPD < 400 ? 'orange' : 'green';
   var quality = meanWPD < 200 ? 'Poor' : meanWPD < 400 ? 'Good' : 'Excellent';
   
-  statsPanel.add(ui.Label('Resource Quality (at 100m height):', {fontWeight: 'bold'}));
+  statsPanel.add(ui.Label('Resource Quality (at ' + APP_STATE.hubHeight + 'm hub height):', {fontWeight: 'bold'}));
   statsPanel.add(ui.Label({
       value: Math.round(meanWPD) + ' W/m² (' + quality + ')',
       style: {fontSize: '12px', fontWeight: 'bold', color: wpdColor, margin: '4px 0'}
   }));
   
+  // Density effect is linear in WPD: P/A scales with rho / 1.225
+  var densityEffect = (APP_STATE.airDensity / CONFIG.PHYSICS.AIR_DENSITY - 1) * 100;
+  statsPanel.add(ui.Label('Air Density: ' + APP_STATE.airDensity.toFixed(3) + ' kg/m³ (' +
+      (densityEffect >= 0 ? '+' : '') + densityEffect.toFixed(1) + '% power density vs ' +
+      CONFIG.PHYSICS.AIR_DENSITY + ')', {fontSize: '11px', color: '#555'}));
+  
   statsPanel.add(ui.Label('Grid Feasibility:', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  statsPanel.add(ui.Label('Turbine: ' + APP_STATE.turbineName + ' (hub ' + APP_STATE.hubHeight + ' m)'));
+  
+  var capacityFactor = APP_STATE.kwhPerTurbine / (turbine.ratedKW * 24);
+  statsPanel.add(ui.Label('Capacity Factor: ' + (capacityFactor * 100).toFixed(1) + '%'));
   statsPanel.add(ui.Label('Avg Generation: ' + Math.round(totalDailyKWh).toLocaleString() + ' kWh/day'));
   
+  // Weibull AEP vs. the daily-mean estimate (cubic quantities are biased by averaging)
+  var speeds = APP_STATE.steps.map(function(s) { return s.speed; });
+  var weibull = fitWeibull(speeds);
+  if (weibull) {
+    var weibullMWh = weibullAEP(turbine, weibull, APP_STATE.airDensity) / 1000;
+    var dailyMWh = APP_STATE.kwhPerTurbine * 365 / 1000;
+    var weibullDiff = dailyMWh > 0 ? (weibullMWh / dailyMWh - 1) * 100 : 0;
+    statsPanel.add(ui.Label('Weibull Fit: k = ' + weibull.k.toFixed(2) + ', c = ' + weibull.c.toFixed(2) +
+        ' m/s (mean ' + weibull.mean.toFixed(2) + ' m/s)', {fontSize: '11px', margin: '2px 8px'}));
+    statsPanel.add(ui.Label('AEP (Weibull): ' + Math.round(weibullMWh).toLocaleString() + ' MWh/yr per turbine (' +
+        (weibullDiff >= 0 ? '+' : '') + weibullDiff.toFixed(1) + '% vs daily means)',
+        {fontSize: '11px', margin: '2px 8px'}));
+  }
+  
+  // Wind Farm Breakdown
+  statsPanel.add(ui.Label('Wind Farm (' + numTurbines + ' turbines):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  var wakeColor = farm.wakeLoss < 0.05 ? 'green' : farm.wakeLoss < 0.10 ? 'orange' : 'red';
+  statsPanel.add(ui.Label('Wake Loss: ' + (farm.wakeLoss * 100).toFixed(1) + '%', 
+       {color: wakeColor, fontWeight: 'bold', margin: '2px 8px'}));
+  if (numTurbines > 1) {
+    farm.perTurbine.forEach(function(ratio, i) {
+      var mwh = APP_STATE.kwhPerTurbine * 365 * ratio / 1000;
+      statsPanel.add(ui.Label('T' + (i + 1) + ': ' + Math.round(mwh).toLocaleString() + ' MWh/yr (' +
+          ((ratio - 1) * 100).toFixed(1) + '% wake)', {fontSize: '11px', margin: '1px 8px'}));
+    });
+  }
+  
+  // Ensemble Exceedance Levels (P90 = energy exceeded by 90% of members)
+  var annual = APP_STATE.annualKWh;
+  var demandKWhYear = demandKWhDay * 365;
+  var pCoverage = function(kwh) {
+    if (demandKWhYear <= 0) return '-';
+    var pct = kwh * farmFactor / demandKWhYear * 100;
+    return pct >= 100 ? '>100%' : pct.toFixed(1) + '%';
+  };
+  statsPanel.add(ui.Label('Annual Energy (' + numTurbines + ' turbines, ensemble):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  ['p50', 'p75', 'p90'].forEach(function(key) {
+    var mwh = annual[key] * farmFactor / 1000;
+    statsPanel.add(ui.Label(key.toUpperCase() + ': ' + Math.round(mwh).toLocaleString() + ' MWh/yr' +
+        ' | Coverage ' + pCoverage(annual[key]), {fontSize: '11px', margin: '2px 8px'}));
+  });
+  
   var pctVal = coverageRatio * 100;
   var pctText = pctVal >= 100 ? '>100%' : pctVal.toFixed(1) + '%';
   
   statsPanel.add(ui.Label('Potential Coverage: ' + homesSupported.toLocaleString() + ' / ' + APP_STATE.buildings.toLocaleString() + ' homes', 
        {color: 'black', fontWeight: 'bold'}));
   
+  // Demand Breakdown by Building Class
+  statsPanel.add(ui.Label('Demand Breakdown (floor area based):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  demand.forEach(function(d) {
+    var size = d.perHousehold ?
+        Math.round(d.households).toLocaleString() + ' households' :
+        Math.round(d.floorM2).toLocaleString() + ' m² floor';
+    statsPanel.add(ui.Label(d.name + ': ' + size + ' · ' + Math.round(d.kwhPerDay).toLocaleString() + ' kWh/day',
+        {fontSize: '11px', margin: '1px 8px'}));
+  });
+  statsPanel.add(ui.Label('Total Demand: ' + Math.round(demandKWhDay).toLocaleString() + ' kWh/day', 
+       {fontSize: '11px', fontWeight: 'bold', margin: '1px 8px'}));
+  
+  // Mini-Grid Extension Plan
+  statsPanel.add(ui.Label('Mini-Grid Extension (nearest-first):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  [
+    'Reach: ' + (network.reachM / 1000).toFixed(1) + ' km network distance (~' + network.connections.toLocaleString() + ' connections)',
+    'Served Demand: ' + Math.round(network.servedKWh).toLocaleString() + ' kWh/day',
+    'Line Length: ~' + network.lineKm.toFixed(1) + ' km',
+    'Distribution Losses: ' + (network.loss * 100).toFixed(1) + '%'
+  ].forEach(function(line) {
+    statsPanel.add(ui.Label(line, {fontSize: '11px', margin: '1px 8px'}));
+  });
+  
   // Status Indicator
   if (pctVal >= 100) {
       statsPanel.add(ui.Label('STATUS: FULL COVERAGE', {color: 'green', fontWeight: 'bold', margin: '5px 0'}));
@@ -280,24 +1437,66 @@ function renderVisuals() {
            {color: 'orange', fontWeight: 'bold', fontSize: '10px', margin: '5px 0'}));
   }
 
+  // Dispatch Simulation (reference member, 6-hourly, waked farm output)
+  var loadPerStep = demandKWhDay * CONFIG.STORAGE.STEP_HOURS / 24;
+  var dieselKW = dieselCheckbox.getValue() ? dieselSlider.getValue() : 0;
+  var dispatch = simulateDispatch(farm.farmKW, loadPerStep, {
+    capacityKWh: batteryCapSlider.getValue(),
+    powerKW: batteryPowerSlider.getValue(),
+    efficiency: rteSlider.getValue()
+  }, dieselKW);
+  var target = reliabilitySlider.getValue();
+  var minBattery = findMinBattery(farm.farmKW, loadPerStep, rteSlider.getValue(), dieselKW, target);
+  
+  statsPanel.add(ui.Label('Dispatch (6-hourly, 1 year):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  [
+    'Unmet Load: ' + dispatch.unmetHours.toLocaleString() + ' h (' + Math.round(dispatch.unmetKWh / 1000).toLocaleString() + ' MWh)',
+    'Loss-of-Load Probability: ' + (dispatch.lolp * 100).toFixed(1) + '%',
+    'Curtailed: ' + Math.round(dispatch.curtailedKWh / 1000).toLocaleString() + ' MWh',
+    'Renewable Fraction: ' + (dispatch.renewableFraction * 100).toFixed(1) + '%',
+    dieselKW > 0 ? 'Diesel: ' + Math.round(dispatch.dieselKWh / 1000).toLocaleString() + ' MWh' : null
+  ].forEach(function(line) {
+    if (line) statsPanel.add(ui.Label(line, {fontSize: '11px', margin: '1px 8px'}));
+  });
+  var sizingText = minBattery === null ?
+      'Not reachable with storage alone (add turbines or diesel)' :
+      Math.round(minBattery).toLocaleString() + ' kWh / ' +
+      Math.round(minBattery / CONFIG.STORAGE.SIZING_DURATION_H).toLocaleString() + ' kW';
+  statsPanel.add(ui.Label('Min Battery for ' + Math.round(target * 100) + '% Reliability: ' + sizingText,
+      {fontSize: '11px', fontWeight: 'bold', margin: '2px 8px'}));
+
   // --- 4. Chart Updates ---
   chartPanel.clear();
   
-  // Calculate dynamic "Houses Powered" based on current sliders
+  // Calculate dynamic "Houses Powered" based on current sliders.
+  // The ensemble spread is drawn as a stacked band: an invisible P90 base plus
+  // the P90 -> P10 width on top, with the ensemble median as a line.
   var houseChartData = APP_STATE.timeSeriesData.map(function(f) {
-    var dailyGen = f.getNumber('Daily_KWh_Per_Turbine');
-    var totalGen = dailyGen.multiply(numTurbines);
-    var houses = totalGen.divide(consumption).floor();
-    return f.set('Houses_Powered', houses);
+    var toHouses = function(prop) {
+      return f.getNumber(prop).multiply(farmFactor).divide(consumption).floor();
+    };
+    var low = toHouses('Daily_KWh_P90');
+    return f.set({
+      'Houses_P90': low,
+      'Houses_Spread': toHouses('Daily_KWh_P10').subtract(low),
+      'Houses_P50': toHouses('Daily_KWh_P50')
+    });
   });
 
-  var housesChart = ui.Chart.feature.byFeature(houseChartData, 'system:time_start', ['Houses_Powered'])
-    .setChartType('AreaChart')
+  var housesChart = ui.Chart.feature.byFeature(houseChartData, 'system:time_start', 
+      ['Houses_P90', 'Houses_Spread', 'Houses_P50'])
+    .setChartType('ComboChart')
     .setOptions({
-      title: 'Daily House Coverage (1 Year)',
+      title: 'Daily House Coverage (1 Year, P10-P90 Ensemble Band)',
       vAxis: {title: 'Equivalent Households'},
       legend: {position: 'none'},
-      colors: [CONFIG.UI.POWERED_COLOR],
+      isStacked: true,
+      seriesType: 'area',
+      series: {
+        0: {color: CONFIG.UI.POWERED_COLOR, areaOpacity: 0, lineWidth: 0},
+        1: {color: CONFIG.UI.POWERED_COLOR, areaOpacity: 0.25, lineWidth: 0},
+        2: {color: CONFIG.UI.POWERED_COLOR, type: 'line', lineWidth: 1}
+      },
       height: '110px',
       hAxis: {format: 'MMM'}
     });
@@ -320,30 +1519,144 @@ function renderVisuals() {
       height: '140px'
     });
   chartPanel.add(wpdChart);
+  
+  // Speed distribution: empirical histogram vs. fitted Weibull density
+  if (weibull) {
+    chartPanel.add(ui.Chart(weibullTable(speeds, weibull), 'ComboChart', {
+      title: 'Hub Speed Distribution (k = ' + weibull.k.toFixed(2) + ', c = ' + weibull.c.toFixed(1) + ' m/s)',
+      seriesType: 'bars',
+      series: {0: {color: '#9ecae1'}, 1: {type: 'line', color: '#d62728', lineWidth: 2}},
+      hAxis: {title: 'm/s'},
+      vAxis: {title: 'Probability density'},
+      legend: {position: 'bottom'},
+      bar: {groupWidth: '95%'},
+      height: '150px'
+    }));
+  }
+  
+  // Wind Rose (reference member, 6-hourly, hub height)
+  var rose = calcWindRose(APP_STATE.steps, turbine);
+  var R = CONFIG.WIND_ROSE;
+  var roseHeader = ['Sector'].concat(R.SPEED_BINS.map(function(lo, b) {
+    var hi = R.SPEED_BINS[b + 1];
+    return lo + (hi === undefined ? '+' : '-' + hi) + ' m/s';
+  }));
+  var roseTable = [roseHeader].concat(rose.sectors.map(function(s) {
+    return [s.name].concat(s.counts.map(function(c) { return rose.total > 0 ? c / rose.total * 100 : 0; }));
+  }));
+  chartPanel.add(ui.Chart(roseTable, 'ColumnChart', {
+    title: 'Wind Rose: Frequency by Direction & Speed (%)',
+    isStacked: true,
+    colors: R.COLORS,
+    vAxis: {title: '% of time'},
+    legend: {position: 'bottom', textStyle: {fontSize: 9}},
+    height: '180px'
+  }));
+  
+  var energyTable = [['Sector', 'Energy (MWh/yr)']].concat(rose.sectors.map(function(s) {
+    return [s.name, s.energyKWh.reduce(function(a, e) { return a + e; }, 0) / 1000];
+  }));
+  chartPanel.add(ui.Chart(energyTable, 'ColumnChart', {
+    title: 'Energy by Direction Sector (1 turbine)',
+    colors: ['#ff7f50'],
+    legend: {position: 'none'},
+    height: '120px'
+  }));
+  
+  var monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  var monthlyTable = [['Month', 'Prevailing', 'Share (%)', 'Mean Speed (m/s)']].concat(rose.monthly.map(function(m) {
+    return [monthNames[m.month], m.sector, Math.round(m.share * 100), Number(m.meanSpeed.toFixed(1))];
+  }));
+  chartPanel.add(ui.Chart(monthlyTable, 'Table', {title: 'Monthly Prevailing Direction'}));
+  
+  var roseExportButton = ui.Button({
+    label: 'Export Wind Rose CSV',
+    onClick: function() {
+      var rows = windRoseRows(rose);
+      Export.table.toDrive({
+        collection: ee.FeatureCollection(rows.map(function(r) { return ee.Feature(null, r); })),
+        description: R.EXPORT_DESCRIPTION,
+        fileFormat: 'CSV',
+        selectors: ['sector', 'direction_deg', 'speed_bin', 'hours', 'frequency_pct', 'energy_mwh']
+      });
+      roseExportButton.setLabel('Export queued (see Tasks tab)');
+    }
+  });
+  chartPanel.add(roseExportButton);
+
+  // --- 5. Project Economics ---
+  // Revenue is based on the P50 farm energy after wake losses.
+  var capacityKW = turbine.ratedKW * numTurbines;
+  var econ = calcEconomics({
+    capex: capacityKW * capexSlider.getValue() + batteryCapSlider.getValue() * CONFIG.ECONOMICS.BATTERY_CAPEX_PER_KWH,
+    opexYr: capacityKW * opexSlider.getValue(),
+    energyKWh: annual.p50 * farmFactor,
+    tariff: tariffSlider.getValue(),
+    lifetime: lifetimeSlider.getValue(),
+    rate: rateSlider.getValue(),
+    degradation: degradationSlider.getValue()
+  });
+  
+  statsPanel.add(ui.Label('Economics (P50 energy):', {fontWeight: 'bold', margin: '8px 0 0 0'}));
+  [
+    'LCOE: $' + econ.lcoe.toFixed(3) + ' / kWh',
+    'NPV: $' + Math.round(econ.npv).toLocaleString(),
+    'IRR: ' + (econ.irr === null ? 'n/a' : (econ.irr * 100).toFixed(1) + '%'),
+    'Payback: ' + (econ.paybackYear === null ? 'Not within lifetime' : 'Year ' + econ.paybackYear.toFixed(1))
+  ].forEach(function(line) {
+    statsPanel.add(ui.Label(line, {fontSize: '11px', margin: '1px 8px'}));
+  });
+  
+  var cashTable = [['Year', 'Cumulative Cash Flow (USD)']].concat(econ.flows.map(function(f) {
+    return [f.year, Math.round(f.cumulative)];
+  }));
+  var cashChart = ui.Chart(cashTable, 'ColumnChart', {
+    title: 'Cumulative Cash Flow',
+    vAxis: {title: 'USD'},
+    hAxis: {title: 'Year'},
+    legend: {position: 'none'},
+    colors: ['#2e8b57'],
+    height: '140px'
+  });
+  chartPanel.add(cashChart);
 }
 
+// Id of the latest site analysis. A newer run (turbine / hub / radius change,
+// scenario restore) supersedes older ones, whose callbacks must not touch APP_STATE.
+var analysisRunId = 0;
+
 /**
- * Handles Map Clicks.
+ * Runs the full site analysis for a clicked coordinate.
+ * Optional placedTurbines restores a manual layout (scenario import / URL restore).
  * 1. Resets UI.
  * 2. Fetches Weather Data (Time Series).
  * 3. Fetches Building Data (Spatial Reduction).
  * 4. Updates Global State and calls renderVisuals().
  */
-Map.onClick(function(coords) {
+function runSiteAnalysis(coords, placedTurbines) {
+  analysisRunId++;
+  var runId = analysisRunId;
+  
   // UI Reset
   statsPanel.clear();
   chartPanel.clear();
-  statsPanel.add(ui.Label('Scanning Site & Analyzing Buildings...(~1-2min)', {color: 'orange'}));
+  statsPanel.add(ui.Label('Scanning Site & Analyzing Buildings...(~2-5min, all ensemble members)', {color: 'orange'}));
   Map.layers().reset();
   
   // Reset Global State
   APP_STATE = {
-    wpd: 0, kwhPerTurbine: 0, buildings: 0, hasData: false, 
-    timeSeriesData: null, buildingRaster: null, centerPoint: null
+    wpd: 0, airDensity: 0, kwhPerTurbine: 0, annualKWh: null, buildings: 0, demandClasses: [], hasData: false,
+    loading: true,
+    timeSeriesData: null, buildingRaster: null, networkDistance: null, distanceBins: [], centerPoint: null,
+    coords: coords, turbineName: turbineSelect.getValue(), steps: [], manualTurbines: placedTurbines || []
   };
+  syncUrlState();
   
   var point = ee.Geometry.Point(coords.lon, coords.lat);
   APP_STATE.centerPoint = point;
+  var turbine = CONFIG.TURBINES[APP_STATE.turbineName];
+  APP_STATE.hubHeight = getHubHeight(turbine);
+  var hubHeight = APP_STATE.hubHeight;
   
   // Show site immediately
   Map.addLayer(point, 
@@ -359,69 +1672,101 @@ Map.onClick(function(coords) {
       var dailyImages = weatherSeries.filterDate(dayStart, dayEnd);
       
       var processed = dailyImages.map(function(img) {
-        var u = img.select('100m_u_component_of_wind');
-        var v = img.select('100m_v_component_of_wind');
-        
-        // 1. Calculate Wind Speed
-        var speed = u.hypot(v);
-        
-        // 2. Calculate Wind Power Density (WPD)
-        // Formula: P/A = 0.5 * rho * v^3
-        var wpd = speed.pow(3).multiply(0.5 * CONFIG.PHYSICS.AIR_DENSITY).rename('WPD');
-        
-        // 3. Calculate Turbine Power Output
-        // Formula: P = WPD * Area * Cp
-        var radius = CONFIG.PHYSICS.ROTOR_DIAMETER_M / 2.0;
-        var area = Math.PI * (radius * radius); // Area swept by blades
-        var rawPowerW = wpd.multiply(area).multiply(CONFIG.PHYSICS.SYSTEM_EFFICIENCY);
-        
-        // 4. Apply Realistic Power Curve
-        // - Cut-in speed: 3 m/s (Turbine won't turn below this)
-        // - Cut-out speed: 25 m/s (Turbine brakes for safety above this)
-        // - Max Capacity: Clamped at 3000 kW (3MW)
-        var generationKW = rawPowerW.divide(1000)
-          .min(CONFIG.PHYSICS.MAX_GENERATION_KW) 
-          .where(speed.lt(3).or(speed.gt(25)), 0)
-          .rename('Generation_KW');
-    
-        return wpd.addBands(generationKW);
+        return calcTurbineFrame(img, turbine, hubHeight);
       });
+      
+      // Ensemble Spread: average each member over the day, then rank the members
+      var memberDays = ee.ImageCollection(ensembleMembers.map(function(m) {
+        return processed.filter(ee.Filter.eq('ensemble_member', m)).select('Generation_KW').mean();
+      }));
+      var spread = memberDays.reduce(ee.Reducer.percentile([10, 50, 90]));
 
-      var means = processed.mean().reduceRegion({
+      var means = processed.mean().addBands(spread).reduceRegion({
         reducer: ee.Reducer.mean(),
         geometry: point,
         scale: 10000 // 10km scale is sufficient for weather model data
       });
       
+      // Exceedance naming: P90 is the output exceeded by 90% of members (10th percentile)
       return ee.Feature(null, {
         'system:time_start': dayStart.millis(),
         'WPD': means.get('WPD'),
-        'Daily_KWh_Per_Turbine': ee.Number(means.get('Generation_KW')).multiply(24)
+        'Air_Density': means.get('Air_Density'),
+        'Daily_KWh_Per_Turbine': ee.Number(means.get('Generation_KW')).multiply(24),
+        'Daily_KWh_P90': ee.Number(means.get('Generation_KW_p10')).multiply(24),
+        'Daily_KWh_P50': ee.Number(means.get('Generation_KW_p50')).multiply(24),
+        'Daily_KWh_P10': ee.Number(means.get('Generation_KW_p90')).multiply(24)
       });
     })
   ).filter(ee.Filter.notNull(['WPD']));
+  
+  // --- Step 1b: Annual Energy per Ensemble Member ---
+  // Each member is run through the full year on its own, so the P-levels describe
+  // year-to-year energy uncertainty rather than day-to-day variability.
+  var memberAnnual = ee.FeatureCollection(ensembleMembers.map(function(m) {
+    var memberMean = weatherSeries.filter(ee.Filter.eq('ensemble_member', m))
+      .map(function(img) { return calcTurbineFrame(img, turbine, hubHeight); })
+      .select('Generation_KW')
+      .mean()
+      .reduceRegion({reducer: ee.Reducer.mean(), geometry: point, scale: 10000});
+    return ee.Feature(null, {
+      'ensemble_member': m,
+      'Annual_KWh': ee.Number(memberMean.get('Generation_KW')).multiply(24 * 365)
+    });
+  })).filter(ee.Filter.notNull(['Annual_KWh']));
+  
+  var annualLevels = memberAnnual.reduceColumns(ee.Reducer.percentile([10, 25, 50]), ['Annual_KWh']);
+  
+  // --- Step 1c: Chronological 6-hourly Series (Reference Member) ---
+  // Hub speed, density and the 100m wind vector (direction) for client-side models.
+  var stepTable = weatherSeries
+    .filter(ee.Filter.eq('ensemble_member', CONFIG.DATA.REFERENCE_MEMBER))
+    .map(function(img) {
+      var frame = calcTurbineFrame(img, turbine, hubHeight)
+        .addBands(img.select(['100m_u_component_of_wind', '100m_v_component_of_wind'], ['U', 'V']));
+      var vals = frame.reduceRegion({reducer: ee.Reducer.mean(), geometry: point, scale: 10000});
+      return ee.Feature(null, vals).set('system:time_start', img.get('system:time_start'));
+    })
+    .filter(ee.Filter.notNull(['Hub_Speed']))
+    .sort('system:time_start')
+    .reduceColumns(ee.Reducer.toList(5), ['system:time_start', 'Hub_Speed', 'Air_Density', 'U', 'V']);
 
   // --- Step 2: Calculate Building Density ---
-  dailyData.size().evaluate(function(count) {
+  // Ends the run without data: report the error and re-enable map clicks
+  var failRun = function(message) {
+    APP_STATE.loading = false;
+    statsPanel.clear();
+    statsPanel.add(ui.Label('Error: ' + message, {color: 'red'}));
+  };
+  
+  dailyData.size().evaluate(function(count, error) {
+    if (runId !== analysisRunId) return; // Superseded by a newer run
+    if (error) {
+      failRun(error);
+      return;
+    }
     if (count === 0) {
-      statsPanel.clear();
-      statsPanel.add(ui.Label('Error: No wind data available for this location.', {color: 'red'}));
+      failRun('No wind data available for this location.');
       return;
     }
     
-    // Aggregate weather stats
-    var meanWPD = dailyData.aggregate_mean('WPD');
-    var meanGen = dailyData.aggregate_mean('Daily_KWh_Per_Turbine');
+    // Aggregate weather stats (evaluated together in one round trip)
+    var weatherStats = ee.Dictionary({
+      wpd: dailyData.aggregate_mean('WPD'),
+      rho: dailyData.aggregate_mean('Air_Density'),
+      gen: dailyData.aggregate_mean('Daily_KWh_Per_Turbine'),
+      p50: annualLevels.get('p50'),
+      p75: annualLevels.get('p25'),
+      p90: annualLevels.get('p10'),
+      steps: stepTable.get('list')
+    });
     
     // Setup Raster Analysis
-    var searchRadius = point.buffer(5000); 
+    var searchRadius = point.buffer(radiusSlider.getValue() * 1000); 
     Map.centerObject(searchRadius);
-    var buildingColl = ee.ImageCollection(CONFIG.DATA.BUILDING_COLLECTION);
-    var latestRaster = buildingColl.sort('system:time_start', false).mosaic().clip(searchRadius);
-    
-    // Mask logic: High confidence + Minimum Height
-    var mask = latestRaster.select('building_presence').gte(CONFIG.DATA.CONFIDENCE_THRESHOLD)
-              .and(latestRaster.select('building_height').gte(CONFIG.DATA.MIN_HEIGHT_M));
+    var buildingLayers = getBuildingLayers(searchRadius);
+    var latestRaster = buildingLayers.raster;
+    var mask = buildingLayers.mask;
     
     var buildingOnlyLayer = latestRaster.updateMask(mask).select('building_presence');
     
@@ -431,31 +1776,189 @@ Map.onClick(function(coords) {
       scale: 10, // 10m scale for counting is efficient yet accurate enough
       maxPixels: 1e9
     });
+    
+    // Floor area per demand class: sum of [footprint, floor] grouped by class index.
+    // Built once: the footprint / class graph is shared by both reductions below.
+    var demandImage = calcDemandImage(latestRaster, mask);
+    var demandByClass = demandImage.reduceRegion({
+      reducer: ee.Reducer.sum().repeat(2).group({groupField: 2, groupName: 'demand_class'}),
+      geometry: searchRadius,
+      scale: CONFIG.DEMAND.PIXEL_SCALE_M,
+      maxPixels: 1e10
+    });
+    structureCount = structureCount.set('demand_groups', demandByClass.get('groups'));
+    
+    // Demand along the least-cost network from the site (searched slightly beyond the radius)
+    var networkDistance = calcNetworkDistance(point, radiusSlider.getValue() * 1000 * 1.5);
+    structureCount = structureCount.set('distance_groups',
+        calcDistanceBins(demandImage, networkDistance, searchRadius));
 
     // --- Step 3: Evaluate & Update State ---
-    meanWPD.evaluate(function(wpdVal) {
-      meanGen.evaluate(function(genVal) {
-        structureCount.evaluate(function(bCount) {
-             APP_STATE.wpd = wpdVal;
-             APP_STATE.kwhPerTurbine = genVal; 
+    weatherStats.evaluate(function(stats, error) {
+        if (runId !== analysisRunId) return;
+        if (error) {
+          failRun(error);
+          return;
+        }
+        structureCount.evaluate(function(bCount, error) {
+             if (runId !== analysisRunId) return;
+             if (error) {
+               failRun(error);
+               return;
+             }
+             APP_STATE.loading = false;
+             APP_STATE.wpd = stats.wpd;
+             APP_STATE.airDensity = stats.rho;
+             APP_STATE.kwhPerTurbine = stats.gen; 
+             APP_STATE.annualKWh = {p50: stats.p50, p75: stats.p75, p90: stats.p90};
+             APP_STATE.steps = stats.steps.map(function(row) {
+               return {t: row[0], speed: row[1], rho: row[2], u: row[3], v: row[4]};
+             });
              
              // Check if building count is valid (handles ocean clicks)
              APP_STATE.buildings = (bCount && bCount.building_presence) ? bCount.building_presence : 0;
+             APP_STATE.demandClasses = CONFIG.DEMAND.CLASSES.map(function(c, idx) {
+               var group = ((bCount && bCount.demand_groups) || []).filter(function(g) { return g.demand_class === idx; })[0];
+               return {name: c.name, footprintM2: group ? group.sum[0] : 0, floorM2: group ? group.sum[1] : 0};
+             });
              
              APP_STATE.timeSeriesData = dailyData; 
              APP_STATE.buildingRaster = buildingOnlyLayer; 
+             APP_STATE.networkDistance = networkDistance;
+             APP_STATE.distanceBins = ((bCount && bCount.distance_groups) || []).map(function(g) {
+               return {edgeM: (g.bin + 1) * CONFIG.GRID.DISTANCE_BIN_M, resFloorM2: g.sum[0],
+                       nonResKWh: g.sum[1], footprintM2: g.sum[2], areaM2: g.sum[3]};
+             }).sort(function(a, b) { return a.edgeM - b.edgeM; });
              APP_STATE.hasData = true;
 
              renderVisuals(); 
         });
-      });
     });
   });
+}
+
+/**
+ * Loads batch candidates: the preset locations, or a user asset (FeatureCollection
+ * or uploaded CSV table). Every candidate gets a point geometry and a 'name'.
+ */
+var loadCandidates = function(assetId) {
+  var B = CONFIG.BATCH;
+  if (!assetId) {
+    return ee.FeatureCollection(Object.keys(CONFIG.LOCATIONS).map(function(name) {
+      var c = CONFIG.LOCATIONS[name];
+      return ee.Feature(ee.Geometry.Point(c[0], c[1]), {name: name});
+    }));
+  }
+  
+  var rows = ee.FeatureCollection(assetId);
+  var candidates = rows.map(function(f) {
+    var props = f.propertyNames();
+    var hasLonLat = ee.Number(props.contains(B.LON_FIELD)).and(props.contains(B.LAT_FIELD));
+    var name = ee.Algorithms.If(props.contains(B.NAME_FIELD), f.get(B.NAME_FIELD), f.id());
+    // CSV uploads without geometry columns: build the point from lon/lat fields.
+    // Rows with neither are dropped (map with dropNulls) so reduceRegions never sees them.
+    return ee.Algorithms.If(hasLonLat,
+      f.setGeometry(ee.Geometry.Point([f.getNumber(B.LON_FIELD), f.getNumber(B.LAT_FIELD)]))
+        .set('name', name),
+      ee.Algorithms.If(ee.Algorithms.IsEqual(f.geometry(), null), null, f.set('name', name)));
+  }, true);
+  
+  print('Batch candidates skipped (no geometry or ' + B.LON_FIELD + '/' + B.LAT_FIELD + '):',
+        rows.size().subtract(candidates.size()));
+  return candidates;
+};
+
+/**
+ * Batch Mode: runs the WPD / generation / building analysis for every candidate,
+ * ranks by annual energy and queues a CSV export. Uses the current turbine and
+ * hub height; weather is the one-year ensemble mean.
+ */
+function runBatchRanking(assetId) {
+  var turbine = CONFIG.TURBINES[turbineSelect.getValue()];
+  var hubHeight = getHubHeight(turbine);
+  var candidates = loadCandidates(assetId);
+  
+  // One annual mean image serves every candidate
+  var annualMean = weatherSeries
+    .map(function(img) { return calcTurbineFrame(img, turbine, hubHeight); })
+    .mean();
+  
+  var measured = annualMean.select(['WPD', 'Generation_KW']).reduceRegions({
+    collection: candidates,
+    reducer: ee.Reducer.mean(),
+    scale: 10000
+  }).filter(ee.Filter.notNull(['WPD']));
+  
+  var scored = measured.map(function(f) {
+    var region = f.geometry().buffer(radiusSlider.getValue() * 1000);
+    var layers = getBuildingLayers(region);
+    var count = layers.raster.updateMask(layers.mask).select('building_presence').reduceRegion({
+      reducer: ee.Reducer.count(),
+      geometry: region,
+      scale: 10,
+      maxPixels: 1e9
+    }).get('building_presence');
+    var coords = f.geometry().centroid(1).coordinates();
+    var genKW = f.getNumber('Generation_KW');
+    return f.set({
+      'longitude': coords.get(0),
+      'latitude': coords.get(1),
+      'Mean_WPD': f.get('WPD'),
+      'Capacity_Factor': genKW.divide(turbine.ratedKW),
+      'Annual_MWh': genKW.multiply(8760).divide(1000),
+      'Buildings': count
+    });
+  });
+  
+  // Rank by annual energy (1 = best)
+  var sorted = scored.sort('Annual_MWh', false);
+  var sortedList = sorted.toList(sorted.size());
+  var ranked = ee.FeatureCollection(ee.List.sequence(0, sorted.size().subtract(1)).map(function(i) {
+    return ee.Feature(sortedList.get(i)).set('rank', ee.Number(i).add(1));
+  }));
+  
+  Export.table.toDrive({
+    collection: ranked,
+    description: CONFIG.BATCH.EXPORT_DESCRIPTION,
+    fileFormat: 'CSV',
+    selectors: CONFIG.BATCH.EXPORT_COLUMNS
+  });
+  
+  print('Batch Ranking (' + turbineSelect.getValue() + ', hub ' + hubHeight + ' m):',
+        ranked.select(CONFIG.BATCH.EXPORT_COLUMNS, null, false));
+  batchStatus.setValue('Export task queued: open the Tasks tab to run "' +
+      CONFIG.BATCH.EXPORT_DESCRIPTION + '". Ranked table printed to the console.');
+}
+
+batchButton.onClick(function() {
+  batchStatus.setValue('Building batch ranking...');
+  runBatchRanking(batchAssetBox.getValue().trim());
+});
+
+/**
+ * Handles Map Clicks.
+ * In manual layout mode (once a site is loaded) a click places another turbine,
+ * and is ignored while the site is still loading; otherwise it starts a new site analysis.
+ */
+Map.onClick(function(coords) {
+  if (layoutSelect.getValue() === 'Manual Placement') {
+    if (APP_STATE.hasData) {
+      APP_STATE.manualTurbines.push({lon: coords.lon, lat: coords.lat});
+      renderVisuals();
+      return;
+    }
+    // Analysis in flight: don't restart it
+    if (APP_STATE.loading) return;
+  }
+  runSiteAnalysis(coords);
 });
 
 // ============================================================================
-// 6. INITIALIZATION
+// 7. INITIALIZATION
 // ============================================================================
 Map.add(mainPanel);
 Map.setOptions('SATELLITE');
 Map.setCenter(CONFIG.UI.START_LON, CONFIG.UI.START_LAT, CONFIG.UI.START_ZOOM);
+// Restore a shared scenario from the URL before anything writes to it.
+// applyScenario() also populates the slider labels and re-runs the analysis if the URL has a site.
+applyScenario(readUrlScenario());